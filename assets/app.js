@@ -1,813 +1,2937 @@
-// Privacy Trend Predictor Application
-class PrivacyTrendPredictor {
-    constructor() {
-        this.contractAddress = '0xAeca45f20F6a0Ca1E7be898D8201E69506c60AfE';
-        this.contractABI = [
-            // Read-only functions
-            "function owner() view returns (address)",
-            "function currentPredictionCycle() view returns (uint32)",
-            "function cycleStartTime() view returns (uint256)",
-            "function isSubmissionWindowActive() view returns (bool)",
-            "function isAnalysisWindowActive() view returns (bool)",
-            "function getCurrentCycleInfo() view returns (uint32 cycle, uint256 startTime, uint32 participantCount, bool analysisCompleted, bool submissionWindowActive, bool analysisWindowActive)",
-            "function getAnalystProfile(address _analyst) view returns (uint32 totalPredictions, uint32 accurateCount, bool isVerified, uint256 lastSubmission)",
-            "function getCycleHistory(uint32 _cycle) view returns (bool analysisCompleted, bool cycleEnded, uint256 startTime, uint256 endTime, uint32 participantCount, bytes32 resultHash)",
-            "function hasAnalystSubmitted(address _analyst) view returns (bool)",
-            "function getTimeRemaining() view returns (uint256 submissionTime, uint256 analysisTime)",
-
-            // State-changing functions
-            "function initiatePredictionCycle()",
-            "function submitTrendPrediction(uint32 _trendValue, uint8 _confidenceLevel, bytes32 _dataHash)",
-            "function performConfidentialAnalysis()",
-            "function verifyAnalyst(address _analyst)",
-            "function updateAnalystReputation(address _analyst, uint8 _newScore)",
-            "function requestConfidentialResult(uint32 _cycle)",
-
-            // Events
-            "event CycleInitiated(uint32 indexed cycle, uint256 startTime)",
-            "event TrendSubmitted(address indexed analyst, uint32 indexed cycle, bytes32 dataHash)",
-            "event AnalysisCompleted(uint32 indexed cycle, bytes32 resultHash, uint32 participantCount)",
-            "event ReputationUpdated(address indexed analyst, uint8 newScore)",
-            "event ConfidentialResultRequested(uint32 indexed cycle, address indexed requester)"
-        ];
-
-        this.provider = null;
-        this.signer = null;
-        this.contract = null;
-        this.userAddress = null;
-        this.isOwner = false;
-
-        this.transactions = JSON.parse(localStorage.getItem('transactions') || '[]');
-
-        this.initializeApp();
-    }
-
-    async initializeApp() {
-        this.setupEventListeners();
-        this.renderTransactionHistory();
-
-        // Check for existing wallet connection
-        if (typeof window.ethereum !== 'undefined' && window.ethereum.selectedAddress) {
-            await this.connectWallet();
-        }
-
-        // Set up periodic updates
-        setInterval(() => this.updateCycleInfo(), 30000); // Update every 30 seconds
-    }
-
-    setupEventListeners() {
-        // Wallet connection
-        document.getElementById('connectWallet').addEventListener('click', () => this.connectWallet());
-        document.getElementById('disconnectWallet').addEventListener('click', () => this.disconnectWallet());
-
-        // Cycle management
-        document.getElementById('refreshCycle').addEventListener('click', () => this.updateCycleInfo());
-        document.getElementById('initiateCycle').addEventListener('click', () => this.initiateCycle());
-        document.getElementById('performAnalysis').addEventListener('click', () => this.performAnalysis());
-        document.getElementById('verifyCurrentUser').addEventListener('click', () => this.verifyCurrentUser());
-
-        // Prediction form
-        document.getElementById('predictionForm').addEventListener('submit', (e) => this.submitPrediction(e));
-        document.getElementById('generateHash').addEventListener('click', () => this.generateRandomHash());
-
-        // Confidence level slider
-        const confidenceSlider = document.getElementById('confidenceLevel');
-        const confidenceDisplay = document.getElementById('confidenceDisplay');
-        confidenceSlider.addEventListener('input', (e) => {
-            confidenceDisplay.textContent = `${e.target.value}%`;
-        });
-
-        // Results
-        document.getElementById('requestResults').addEventListener('click', () => this.requestResults());
-        document.getElementById('cycleSelect').addEventListener('change', (e) => {
-            document.getElementById('requestResults').disabled = !e.target.value;
-        });
-
-        // Transaction history
-        document.getElementById('clearHistory').addEventListener('click', () => this.clearTransactionHistory());
-
-        // Notification close
-        document.getElementById('closeNotification').addEventListener('click', () => this.hideNotification());
-
-        // Form validation
-        document.getElementById('trendValue').addEventListener('input', () => this.validateForm());
-        document.getElementById('dataHash').addEventListener('input', () => this.validateForm());
-    }
-
-    async connectWallet() {
-        try {
-            if (typeof window.ethereum === 'undefined') {
-                this.showNotification('Please install MetaMask or another Web3 wallet', 'error');
-                return;
-            }
-
-            this.showLoading('Connecting wallet...');
-
-            // Request account access
-            const accounts = await window.ethereum.request({ method: 'eth_requestAccounts' });
-
-            if (accounts.length === 0) {
-                throw new Error('No accounts found');
-            }
-
-            this.provider = new ethers.BrowserProvider(window.ethereum);
-            this.signer = await this.provider.getSigner();
-            this.userAddress = accounts[0];
-
-            // Initialize contract
-            this.contract = new ethers.Contract(this.contractAddress, this.contractABI, this.signer);
-
-            // Verify contract deployment
-            try {
-                const code = await this.provider.getCode(this.contractAddress);
-                if (code === '0x') {
-                    throw new Error('Contract not deployed at this address');
-                }
-                console.log('✅ Contract verified at address:', this.contractAddress);
-            } catch (error) {
-                throw new Error(`Contract verification failed: ${error.message}`);
-            }
-
-            // Check if user is owner
-            try {
-                const owner = await this.contract.owner();
-                this.isOwner = owner.toLowerCase() === this.userAddress.toLowerCase();
-                console.log('📋 Contract owner:', owner);
-                console.log('👤 Current user:', this.userAddress);
-                console.log('🔑 Is owner:', this.isOwner);
-            } catch (error) {
-                console.warn('Could not fetch owner address:', error);
-                this.isOwner = false;
-            }
-
-            // Update UI
-            this.updateWalletUI();
-            await this.updateNetworkInfo();
-            await this.updateAnalystProfile();
-            await this.updateCycleInfo();
-            await this.populateCycleSelect();
-
-            this.hideLoading();
-            this.showNotification('Wallet connected successfully', 'success');
-        } catch (error) {
-            this.hideLoading();
-            this.showNotification(`Failed to connect wallet: ${error.message}`, 'error');
-            console.error('Wallet connection error:', error);
-        }
-    }
-
-    async disconnectWallet() {
-        this.provider = null;
-        this.signer = null;
-        this.contract = null;
-        this.userAddress = null;
-        this.isOwner = false;
-
-        this.updateWalletUI();
-        this.resetUI();
-        this.showNotification('Wallet disconnected', 'warning');
-    }
-
-    updateWalletUI() {
-        const connectBtn = document.getElementById('connectWallet');
-        const walletInfo = document.getElementById('walletInfo');
-
-        if (this.userAddress) {
-            connectBtn.classList.add('hidden');
-            walletInfo.classList.remove('hidden');
-            document.getElementById('walletAddress').textContent =
-                `${this.userAddress.slice(0, 6)}...${this.userAddress.slice(-4)}`;
-        } else {
-            connectBtn.classList.remove('hidden');
-            walletInfo.classList.add('hidden');
-        }
-
-        // Show/hide owner controls
-        const analysisControls = document.getElementById('analysisControls');
-        if (this.isOwner && this.userAddress) {
-            analysisControls.style.display = 'block';
-        } else {
-            analysisControls.style.display = 'none';
-        }
-    }
-
-    async updateNetworkInfo() {
-        if (!this.provider) return;
-
-        try {
-            const network = await this.provider.getNetwork();
-            document.getElementById('networkName').textContent = network.name || `Chain ID: ${network.chainId}`;
-        } catch (error) {
-            console.error('Network info error:', error);
-            document.getElementById('networkName').textContent = 'Unknown';
-        }
-    }
-
-    async updateAnalystProfile() {
-        if (!this.contract || !this.userAddress) {
-            this.resetAnalystProfile();
-            return;
-        }
-
-        try {
-            const profile = await this.contract.getAnalystProfile(this.userAddress);
-            const [totalPredictions, accurateCount, isVerified, lastSubmission] = profile;
-
-            // Update verification status
-            const statusElement = document.getElementById('verificationStatus');
-            const messageElement = document.getElementById('verificationMessage');
-
-            if (isVerified) {
-                messageElement.textContent = '✓ You are a verified analyst';
-                messageElement.className = 'status-message verified';
-            } else {
-                messageElement.textContent = '⚠ You are not verified as an analyst';
-                messageElement.className = 'status-message unverified';
-            }
-
-            // Update stats
-            document.getElementById('totalPredictions').textContent = totalPredictions.toString();
-            document.getElementById('accurateCount').textContent = accurateCount.toString();
-
-            const lastSubmissionDate = lastSubmission > 0 ?
-                new Date(Number(lastSubmission) * 1000).toLocaleDateString() : 'Never';
-            document.getElementById('lastSubmission').textContent = lastSubmissionDate;
-
-        } catch (error) {
-            console.error('Analyst profile error:', error);
-            this.resetAnalystProfile();
-        }
-    }
-
-    resetAnalystProfile() {
-        document.getElementById('verificationMessage').textContent = 'Connect wallet to check verification status';
-        document.getElementById('verificationMessage').className = 'status-message';
-        document.getElementById('totalPredictions').textContent = '-';
-        document.getElementById('accurateCount').textContent = '-';
-        document.getElementById('lastSubmission').textContent = '-';
-    }
-
-    async updateCycleInfo() {
-        if (!this.contract) {
-            this.resetCycleInfo();
-            return;
-        }
-
-        try {
-            const cycleInfo = await this.contract.getCurrentCycleInfo();
-            const [cycle, startTime, participantCount, analysisCompleted, submissionWindowActive, analysisWindowActive] = cycleInfo;
-
-            // Update basic info
-            document.getElementById('currentCycle').textContent = cycle.toString();
-            document.getElementById('participantCount').textContent = participantCount.toString();
-
-            // Update cycle status
-            const statusElement = document.getElementById('cycleStatus');
-            if (submissionWindowActive) {
-                statusElement.textContent = '🟢 Submission Window Open';
-                statusElement.className = 'status-badge active';
-            } else if (analysisWindowActive) {
-                statusElement.textContent = '🟡 Analysis Window Open';
-                statusElement.className = 'status-badge active';
-            } else if (analysisCompleted) {
-                statusElement.textContent = '✅ Analysis Completed';
-                statusElement.className = 'status-badge';
-            } else {
-                statusElement.textContent = '🔴 Cycle Inactive';
-                statusElement.className = 'status-badge inactive';
-            }
-
-            // Update time remaining
-            await this.updateTimeRemaining();
-
-            // Update form state
-            this.updateFormState(submissionWindowActive);
-
-        } catch (error) {
-            console.error('Cycle info error:', error);
-            this.resetCycleInfo();
-        }
-    }
-
-    async updateTimeRemaining() {
-        if (!this.contract) return;
-
-        try {
-            const timeRemaining = await this.contract.getTimeRemaining();
-            const [submissionTime, analysisTime] = timeRemaining;
-
-            document.getElementById('submissionTime').textContent =
-                this.formatTime(Number(submissionTime));
-            document.getElementById('analysisTime').textContent =
-                this.formatTime(Number(analysisTime));
-        } catch (error) {
-            console.error('Time remaining error:', error);
-        }
-    }
-
-    formatTime(seconds) {
-        if (seconds === 0) return 'Closed';
-
-        const hours = Math.floor(seconds / 3600);
-        const minutes = Math.floor((seconds % 3600) / 60);
-
-        if (hours > 0) {
-            return `${hours}h ${minutes}m`;
-        } else if (minutes > 0) {
-            return `${minutes}m`;
-        } else {
-            return `${seconds}s`;
-        }
-    }
-
-    resetCycleInfo() {
-        document.getElementById('currentCycle').textContent = '-';
-        document.getElementById('participantCount').textContent = '-';
-        document.getElementById('cycleStatus').textContent = 'Not Connected';
-        document.getElementById('cycleStatus').className = 'status-badge';
-        document.getElementById('submissionTime').textContent = '-';
-        document.getElementById('analysisTime').textContent = '-';
-    }
-
-    updateFormState(submissionWindowActive) {
-        const submitBtn = document.getElementById('submitPrediction');
-        const form = document.getElementById('predictionForm');
-
-        if (!this.userAddress) {
-            submitBtn.disabled = true;
-            submitBtn.textContent = 'Connect Wallet';
-            return;
-        }
-
-        if (!submissionWindowActive) {
-            submitBtn.disabled = true;
-            submitBtn.textContent = 'Submission Window Closed';
-            return;
-        }
-
-        // Check if form is valid and user hasn't submitted
-        this.validateForm();
-    }
-
-    async validateForm() {
-        const submitBtn = document.getElementById('submitPrediction');
-        const trendValue = document.getElementById('trendValue').value;
-        const dataHash = document.getElementById('dataHash').value;
-
-        if (!this.userAddress) {
-            submitBtn.disabled = true;
-            submitBtn.textContent = 'Connect Wallet';
-            return;
-        }
-
-        // Check if user has already submitted
-        if (this.contract && this.userAddress) {
-            try {
-                const hasSubmitted = await this.contract.hasAnalystSubmitted(this.userAddress);
-                if (hasSubmitted) {
-                    submitBtn.disabled = true;
-                    submitBtn.textContent = 'Already Submitted';
-                    return;
-                }
-            } catch (error) {
-                console.error('Submission check error:', error);
-            }
-        }
-
-        const isValid = trendValue && dataHash && dataHash.match(/^0x[a-fA-F0-9]{64}$/);
-        submitBtn.disabled = !isValid;
-        submitBtn.textContent = isValid ? 'Submit Prediction' : 'Complete Form';
-    }
-
-    generateRandomHash() {
-        const randomBytes = ethers.randomBytes(32);
-        const hash = ethers.hexlify(randomBytes);
-        document.getElementById('dataHash').value = hash;
-        this.validateForm();
-    }
-
-    async submitPrediction(event) {
-        event.preventDefault();
-
-        if (!this.contract || !this.userAddress) {
-            this.showNotification('Please connect your wallet first', 'error');
-            return;
-        }
-
-        const trendValue = document.getElementById('trendValue').value;
-        const confidenceLevel = document.getElementById('confidenceLevel').value;
-        const dataHash = document.getElementById('dataHash').value;
-
-        // Validation
-        if (!trendValue || trendValue < 0 || trendValue > 4294967295) {
-            this.showNotification('Please enter a valid trend value (0-4,294,967,295)', 'error');
-            return;
-        }
-
-        if (!confidenceLevel || confidenceLevel < 0 || confidenceLevel > 100) {
-            this.showNotification('Please enter a valid confidence level (0-100)', 'error');
-            return;
-        }
-
-        if (!dataHash || !dataHash.match(/^0x[a-fA-F0-9]{64}$/)) {
-            this.showNotification('Please enter a valid 32-byte hash', 'error');
-            return;
-        }
-
-        try {
-            this.showLoading('Checking submission status...');
-
-            // Check if user is verified
-            const profile = await this.contract.getAnalystProfile(this.userAddress);
-            if (!profile.isVerified) {
-                this.hideLoading();
-                this.showNotification('You must be a verified analyst to submit predictions', 'error');
-                return;
-            }
-
-            // Check if submission window is active
-            const cycleInfo = await this.contract.getCurrentCycleInfo();
-            if (!cycleInfo.submissionWindowActive) {
-                this.hideLoading();
-                this.showNotification('Submission window is not currently active', 'error');
-                return;
-            }
-
-            // Check if user has already submitted
-            const hasSubmitted = await this.contract.hasAnalystSubmitted(this.userAddress);
-            if (hasSubmitted) {
-                this.hideLoading();
-                this.showNotification('You have already submitted a prediction for this cycle', 'error');
-                return;
-            }
-
-            this.showLoading('Submitting prediction...');
-
-            // Estimate gas first
-            const gasEstimate = await this.contract.submitTrendPrediction.estimateGas(
-                parseInt(trendValue),
-                parseInt(confidenceLevel),
-                dataHash
-            );
-
-            // Add 20% buffer to gas estimate
-            const gasLimit = Math.floor(Number(gasEstimate) * 1.2);
-
-            const tx = await this.contract.submitTrendPrediction(
-                parseInt(trendValue),
-                parseInt(confidenceLevel),
-                dataHash,
-                { gasLimit }
-            );
-
-            this.addTransaction({
-                type: 'Submit Prediction',
-                hash: tx.hash,
-                status: 'pending'
-            });
-
-            this.showLoading('Waiting for confirmation...');
-            const receipt = await tx.wait();
-
-            if (receipt.status === 1) {
-                this.updateTransaction(tx.hash, 'success');
-                await this.updateCycleInfo();
-                await this.updateAnalystProfile();
-
-                // Reset form
-                document.getElementById('predictionForm').reset();
-                document.getElementById('confidenceDisplay').textContent = '50%';
-
-                this.hideLoading();
-                this.showNotification('Prediction submitted successfully!', 'success');
-            } else {
-                throw new Error('Transaction failed');
-            }
-
-        } catch (error) {
-            this.hideLoading();
-
-            let errorMessage = 'Failed to submit prediction';
-
-            if (error.message.includes('user rejected')) {
-                errorMessage = 'Transaction was rejected by user';
-            } else if (error.message.includes('insufficient funds')) {
-                errorMessage = 'Insufficient funds for gas fees';
-            } else if (error.message.includes('Already submitted')) {
-                errorMessage = 'You have already submitted a prediction for this cycle';
-            } else if (error.message.includes('Not authorized') || error.message.includes('Analyst not verified')) {
-                errorMessage = 'You must be a verified analyst to submit predictions';
-            } else if (error.message.includes('Submission window')) {
-                errorMessage = 'Submission window is not currently active';
-            } else if (error.reason) {
-                errorMessage = `Contract error: ${error.reason}`;
-            } else if (error.message) {
-                errorMessage = error.message;
-            }
-
-            this.showNotification(errorMessage, 'error');
-            console.error('Prediction submission error:', error);
-        }
-    }
-
-    async initiateCycle() {
-        if (!this.contract || !this.isOwner) {
-            this.showNotification('Only the contract owner can initiate cycles', 'error');
-            return;
-        }
-
-        try {
-            this.showLoading('Initiating new cycle...');
-
-            const tx = await this.contract.initiatePredictionCycle();
-
-            this.addTransaction({
-                type: 'Initiate Cycle',
-                hash: tx.hash,
-                status: 'pending'
-            });
-
-            const receipt = await tx.wait();
-
-            this.updateTransaction(tx.hash, 'success');
-            await this.updateCycleInfo();
-
-            this.hideLoading();
-            this.showNotification('New prediction cycle initiated!', 'success');
-
-        } catch (error) {
-            this.hideLoading();
-            this.showNotification(`Failed to initiate cycle: ${error.message}`, 'error');
-            console.error('Cycle initiation error:', error);
-        }
-    }
-
-    async performAnalysis() {
-        if (!this.contract || !this.isOwner) {
-            this.showNotification('Only the contract owner can perform analysis', 'error');
-            return;
-        }
-
-        try {
-            this.showLoading('Performing confidential analysis...');
-
-            const tx = await this.contract.performConfidentialAnalysis();
-
-            this.addTransaction({
-                type: 'Perform Analysis',
-                hash: tx.hash,
-                status: 'pending'
-            });
-
-            const receipt = await tx.wait();
-
-            this.updateTransaction(tx.hash, 'success');
-            await this.updateCycleInfo();
-            await this.populateCycleSelect();
-
-            this.hideLoading();
-            this.showNotification('Confidential analysis completed!', 'success');
-
-        } catch (error) {
-            this.hideLoading();
-            this.showNotification(`Failed to perform analysis: ${error.message}`, 'error');
-            console.error('Analysis error:', error);
-        }
-    }
-
-    async populateCycleSelect() {
-        if (!this.contract) return;
-
-        try {
-            const currentCycle = await this.contract.currentPredictionCycle();
-            const select = document.getElementById('cycleSelect');
-
-            // Clear existing options except first
-            select.innerHTML = '<option value="">Select a cycle...</option>';
-
-            // Add options for completed cycles
-            for (let i = 1; i < Number(currentCycle); i++) {
-                try {
-                    const history = await this.contract.getCycleHistory(i);
-                    if (history[0]) { // analysisCompleted
-                        const option = document.createElement('option');
-                        option.value = i;
-                        option.textContent = `Cycle ${i}`;
-                        select.appendChild(option);
-                    }
-                } catch (error) {
-                    // Skip cycles that don't exist or have errors
-                    continue;
-                }
-            }
-        } catch (error) {
-            console.error('Cycle select population error:', error);
-        }
-    }
-
-    async verifyCurrentUser() {
-        if (!this.contract || !this.isOwner || !this.userAddress) {
-            this.showNotification('Only the contract owner can verify analysts', 'error');
-            return;
-        }
-
-        try {
-            this.showLoading('Verifying current user as analyst...');
-
-            const tx = await this.contract.verifyAnalyst(this.userAddress);
-
-            this.addTransaction({
-                type: 'Verify Analyst',
-                hash: tx.hash,
-                status: 'pending'
-            });
-
-            const receipt = await tx.wait();
-
-            this.updateTransaction(tx.hash, 'success');
-            await this.updateAnalystProfile();
-
-            this.hideLoading();
-            this.showNotification('User verified as analyst!', 'success');
-
-        } catch (error) {
-            this.hideLoading();
-            this.showNotification(`Failed to verify analyst: ${error.message}`, 'error');
-            console.error('Verification error:', error);
-        }
-    }
-
-    async requestResults() {
-        if (!this.contract || !this.userAddress) {
-            this.showNotification('Please connect your wallet first', 'error');
-            return;
-        }
-
-        const cycleNumber = document.getElementById('cycleSelect').value;
-        if (!cycleNumber) {
-            this.showNotification('Please select a cycle', 'error');
-            return;
-        }
-
-        try {
-            this.showLoading('Requesting confidential results...');
-
-            // First, request access to the results
-            const tx = await this.contract.requestConfidentialResult(cycleNumber);
-
-            this.addTransaction({
-                type: 'Request Results',
-                hash: tx.hash,
-                status: 'pending'
-            });
-
-            const receipt = await tx.wait();
-            this.updateTransaction(tx.hash, 'success');
-
-            // Then fetch and display cycle history
-            const history = await this.contract.getCycleHistory(cycleNumber);
-            const [analysisCompleted, cycleEnded, startTime, endTime, participantCount, resultHash] = history;
-
-            // Update results display
-            document.getElementById('resultCycle').textContent = cycleNumber;
-            document.getElementById('analysisStatus').textContent = analysisCompleted ? 'Completed' : 'Pending';
-            document.getElementById('resultParticipants').textContent = participantCount.toString();
-            document.getElementById('resultHash').textContent = resultHash || 'N/A';
-
-            document.getElementById('resultsContent').classList.remove('hidden');
-
-            this.hideLoading();
-            this.showNotification('Results access requested successfully!', 'success');
-
-        } catch (error) {
-            this.hideLoading();
-            this.showNotification(`Failed to request results: ${error.message}`, 'error');
-            console.error('Results request error:', error);
-        }
-    }
-
-    addTransaction(transaction) {
-        const newTransaction = {
-            ...transaction,
-            timestamp: Date.now()
-        };
-        this.transactions.unshift(newTransaction);
-        this.saveTransactions();
-        this.renderTransactionHistory();
-    }
-
-    updateTransaction(hash, status) {
-        const transaction = this.transactions.find(tx => tx.hash === hash);
-        if (transaction) {
-            transaction.status = status;
-            this.saveTransactions();
-            this.renderTransactionHistory();
-        }
-    }
-
-    saveTransactions() {
-        // Keep only last 20 transactions
-        this.transactions = this.transactions.slice(0, 20);
-        localStorage.setItem('transactions', JSON.stringify(this.transactions));
-    }
-
-    renderTransactionHistory() {
-        const container = document.getElementById('transactionList');
-
-        if (this.transactions.length === 0) {
-            container.innerHTML = '<div class="empty-state">No transactions yet</div>';
-            return;
-        }
-
-        container.innerHTML = this.transactions.map(tx => `
-            <div class="transaction-item">
-                <div class="transaction-info">
-                    <div class="transaction-type">${tx.type}</div>
-                    <div class="transaction-hash">${tx.hash.slice(0, 10)}...${tx.hash.slice(-8)}</div>
-                </div>
-                <div class="transaction-status ${tx.status}">${tx.status}</div>
-            </div>
-        `).join('');
-    }
-
-    clearTransactionHistory() {
-        this.transactions = [];
-        this.saveTransactions();
-        this.renderTransactionHistory();
-        this.showNotification('Transaction history cleared', 'warning');
-    }
-
-    resetUI() {
-        document.getElementById('networkName').textContent = 'Not Connected';
-        this.resetCycleInfo();
-        this.resetAnalystProfile();
-        document.getElementById('resultsContent').classList.add('hidden');
-        document.getElementById('cycleSelect').innerHTML = '<option value="">Select a cycle...</option>';
-    }
-
-    showLoading(message = 'Loading...') {
-        document.getElementById('loadingMessage').textContent = message;
-        document.getElementById('loadingOverlay').classList.remove('hidden');
-    }
-
-    hideLoading() {
-        document.getElementById('loadingOverlay').classList.add('hidden');
-    }
-
-    showNotification(message, type = 'info') {
-        const notification = document.getElementById('notification');
-        const messageElement = document.getElementById('notificationMessage');
-
-        messageElement.textContent = message;
-        notification.className = `notification ${type}`;
-        notification.classList.remove('hidden');
-
-        // Auto hide after 5 seconds
-        setTimeout(() => {
-            this.hideNotification();
-        }, 5000);
-    }
-
-    hideNotification() {
-        document.getElementById('notification').classList.add('hidden');
-    }
-
-    async debugContractCall(functionName, ...args) {
-        console.log(`🔍 Debug: Calling ${functionName} with args:`, args);
-        try {
-            if (!this.contract) {
-                throw new Error('Contract not initialized');
-            }
-
-            const result = await this.contract[functionName](...args);
-            console.log(`✅ Debug: ${functionName} result:`, result);
-            return result;
-        } catch (error) {
-            console.error(`❌ Debug: ${functionName} failed:`, error);
-            throw error;
-        }
-    }
-}
-
-// Initialize the application when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    new PrivacyTrendPredictor();
-});
-
-// Handle wallet account changes
-if (typeof window.ethereum !== 'undefined') {
-    window.ethereum.on('accountsChanged', (accounts) => {
-        if (accounts.length === 0) {
-            // User disconnected wallet
-            window.location.reload();
-        } else {
-            // User switched accounts
-            window.location.reload();
-        }
-    });
-
-    window.ethereum.on('chainChanged', (chainId) => {
-        // User switched networks
-        window.location.reload();
-    });
-}
\ No newline at end of file
+// Privacy Trend Predictor Application
+class PrivacyTrendPredictor {
+    constructor() {
+        // Resolved per chain from deployments.json, which scripts/deploy.js keeps up to date
+        this.contractAddress = null;
+        this.deployments = {};
+        this.chainId = null;
+
+        // Networks the wallet can be switched to, matching hardhat.config.js
+        this.networks = {
+            8009: {
+                chainName: 'Zama Devnet',
+                rpcUrls: ['https://devnet.zama.ai/'],
+                nativeCurrency: { name: 'ZAMA', symbol: 'ZAMA', decimals: 18 }
+            },
+            11155111: {
+                chainName: 'Sepolia',
+                rpcUrls: ['https://rpc.sepolia.org'],
+                nativeCurrency: { name: 'Sepolia Ether', symbol: 'ETH', decimals: 18 },
+                blockExplorerUrls: ['https://sepolia.etherscan.io'],
+                // Preset exported by the relayer SDK with the chain's FHEVM contract and relayer addresses
+                fhevmConfig: 'SepoliaConfig'
+            }
+        };
+        this.contractABI = [
+            // Read-only functions
+            "function submissionMode() view returns (uint8)",
+            "function owner() view returns (address)",
+            "function pendingOwner() view returns (address)",
+            "function hasRole(bytes32 _role, address _account) view returns (bool)",
+            "function topicCount() view returns (uint32)",
+            "function getTopic(uint32 _topicId) view returns (string name, uint32 currentPredictionCycle, uint256 defaultSubmissionWindow, uint256 defaultCycleDuration, uint32 statisticsThreshold)",
+            "function isSubmissionWindowActive(uint32 _topicId) view returns (bool)",
+            "function isAnalysisWindowActive(uint32 _topicId) view returns (bool)",
+            "function getCurrentCycleInfo(uint32 _topicId) view returns (uint32 cycle, uint256 startTime, uint32 participantCount, bool analysisCompleted, bool submissionWindowActive, bool analysisWindowActive)",
+            "function getAnalystProfile(address _analyst) view returns (uint32 totalPredictions, uint32 accurateCount, bool isVerified, uint256 lastSubmission)",
+            "function getCycleHistory(uint32 _topicId, uint32 _cycle) view returns (bool analysisCompleted, bool cycleEnded, uint256 startTime, uint256 endTime, uint32 participantCount, bytes32 resultHash)",
+            "function hasAnalystSubmitted(uint32 _topicId, address _analyst) view returns (bool)",
+            "function getCycleSchedule(uint32 _topicId) view returns (uint256 startTime, uint256 submissionWindowDuration, uint256 cycleDurationSeconds)",
+            "function getCycleOutcome(uint32 _topicId, uint32 _cycle) view returns (bool resolved, uint32 actualValue, uint32 tolerance)",
+            "function keeperBounty() view returns (uint256)",
+            "function getAggregationMode(uint32 _topicId, uint32 _cycle) view returns (uint8)",
+            "function getApplication(address _applicant) view returns (string metadataURI, bytes32 metadataHash, uint8 status, uint256 submittedAt)",
+            "function getPendingApplications() view returns (address[])",
+            "function getAnalystCycles(uint32 _topicId, address _analyst) view returns (uint32[])",
+
+            // State-changing functions
+            "function createTopic(string _name, uint256 _submissionWindow, uint256 _cycleDuration) returns (uint32)",
+            "function initiatePredictionCycle(uint32 _topicId, uint256 _submissionWindow, uint256 _cycleDuration)",
+            "function performConfidentialAnalysis(uint32 _topicId)",
+            "function verifyAnalyst(address _analyst)",
+            "function updateAnalystReputation(address _analyst, uint8 _newScore)",
+            "function revokeAnalyst(address _analyst)",
+            "function verifyAnalysts(address[] _analysts)",
+            "function revokeAnalysts(address[] _analysts)",
+            "function applyAsAnalyst(string _metadataURI, bytes32 _metadataHash)",
+            "function approveApplication(address _applicant)",
+            "function rejectApplication(address _applicant)",
+            "function setStatisticsThreshold(uint32 _topicId, uint32 _threshold)",
+            "function resolveCycleOutcome(uint32 _topicId, uint32 _cycle, uint32 _actualValue, uint32 _tolerance)",
+            "function grantRole(bytes32 _role, address _account)",
+            "function revokeRole(bytes32 _role, address _account)",
+            "function renounceRole(bytes32 _role)",
+            "function transferOwnership(address _newOwner)",
+            "function acceptOwnership()",
+            "function setAggregationMode(uint32 _topicId, uint8 _mode)",
+            "function setKeeperBounty(uint256 _bounty)",
+            "function fundKeeperBounty() payable",
+            "function withdrawKeeperBounty(address _to, uint256 _amount)",
+
+            // Events
+            "event TopicCreated(uint32 indexed topicId, string name, uint256 submissionWindow, uint256 cycleDuration)",
+            "event CycleInitiated(uint32 indexed topicId, uint32 indexed cycle, uint256 startTime)",
+            "event CycleSkipped(uint32 indexed topicId, uint32 indexed cycle, uint32 participantCount)",
+            "event CycleScheduleSet(uint32 indexed topicId, uint32 indexed cycle, uint256 submissionWindow, uint256 cycleDuration)",
+            "event TrendSubmitted(address indexed analyst, uint32 indexed topicId, uint32 indexed cycle, bytes32 dataHash)",
+            "event AnalysisCompleted(uint32 indexed topicId, uint32 indexed cycle, bytes32 resultHash, uint32 participantCount)",
+            "event ReputationUpdated(address indexed analyst)",
+            "event StatisticsThresholdUpdated(uint32 indexed topicId, uint32 threshold)",
+            "event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)",
+            "event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)",
+            "event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner)",
+            "event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)",
+            "event AggregationModeUpdated(uint32 indexed topicId, uint32 indexed cycle, uint8 mode)",
+            "event OutcomeResolved(uint32 indexed topicId, uint32 indexed cycle, uint32 actualValue, uint32 tolerance)",
+            "event AccuracyScored(uint32 indexed topicId, uint32 indexed cycle, address indexed analyst, bool accurate)",
+            "event AnalystApplied(address indexed applicant, string metadataURI, bytes32 metadataHash)",
+            "event AnalystApplicationRejected(address indexed applicant)",
+            "event AnalystVerified(address indexed analyst)",
+            "event AnalystRevoked(address indexed analyst)",
+            "event KeeperBountyUpdated(uint256 bounty)",
+            "event KeeperBountyFunded(address indexed funder, uint256 amount)",
+            "event KeeperBountyWithdrawn(address indexed to, uint256 amount)",
+            "event KeeperRewarded(address indexed keeper, uint256 amount)"
+        ];
+
+        // Functions that only exist on the FHE contract
+        this.encryptedABI = [
+            "function getEncryptedResult(uint32 _topicId, uint32 _cycle) view returns (bytes32 weightedTrendSum, bytes32 totalWeight, bytes32 averageConfidence)",
+            "function getEncryptedStatistics(uint32 _topicId, uint32 _cycle) view returns (bytes32 minTrend, bytes32 maxTrend, bytes32 aboveThresholdCount, bytes32 belowThresholdCount, uint32 threshold)",
+            "function getEncryptedReputation(address _analyst) view returns (bytes32)",
+            "function getAnalystPrediction(uint32 _topicId, uint32 _cycle, address _analyst) view returns (bytes32 encryptedValue, bytes32 confidenceLevel, uint256 timestamp, bytes32 dataHash)",
+            "function submitTrendPrediction(uint32 _topicId, bytes32 _encryptedTrend, bytes32 _encryptedConfidence, bytes _inputProof, bytes32 _dataHash)",
+            "function requestConfidentialResult(uint32 _topicId, uint32 _cycle)",
+            "function scoreOutcomeBatch(uint32 _topicId, uint32 _cycle)",
+            "function getScoringProgress(uint32 _topicId, uint32 _cycle) view returns (uint32 scored, uint32 total)",
+            "event ConfidentialResultRequested(uint32 indexed topicId, uint32 indexed cycle, address indexed requester)"
+        ];
+
+        // Functions that only exist on the commit-reveal fallback contract
+        this.commitRevealABI = [
+            "function getRevealStatus(uint32 _topicId, uint32 _cycle) view returns (uint32 committed, uint32 revealed)",
+            "function getCycleResult(uint32 _topicId, uint32 _cycle) view returns (uint32 aggregatedTrend, uint8 averageConfidence, uint32 minTrend, uint32 maxTrend, uint32 aboveThresholdCount, uint32 belowThresholdCount, uint32 threshold)",
+            "function getReputation(address _analyst) view returns (uint8)",
+            "function getAnalystPrediction(uint32 _topicId, uint32 _cycle, address _analyst) view returns (bytes32 commitment, bool revealed, uint32 value, uint8 confidenceLevel, uint256 timestamp, bytes32 dataHash)",
+            "function submitTrendCommitment(uint32 _topicId, bytes32 _commitment, bytes32 _dataHash)",
+            "function revealTrendPrediction(uint32 _topicId, uint32 _value, uint8 _confidence, bytes32 _salt)",
+            "event TrendRevealed(address indexed analyst, uint32 indexed topicId, uint32 indexed cycle, uint32 value, uint8 confidence)"
+        ];
+
+        // TrendPredictorLens, deployed next to the contract and recorded as lensAddress
+        this.lensABI = [
+            "function getAnalystCount(address _predictor) view returns (uint256)",
+            "function getAnalystRows(address _predictor, uint32 _topicId, uint256 _offset, uint256 _limit) view returns (tuple(address analyst, bool isVerified, uint32 totalPredictions, uint32 accurateCount, uint256 lastSubmission, uint32 streak)[] rows)"
+        ];
+
+        this.provider = null;
+        this.signer = null;
+        this.contract = null;
+        this.lens = null;
+        this.userAddress = null;
+        this.isOwner = false;
+        this.isPendingOwner = false;
+        this.roles = this.emptyRoles();
+        this.submissionMode = null;
+        this.fhevmInstance = null;
+        this.decryptionAuth = null;
+
+        // Topic whose cycle, submissions and results are shown
+        this.currentTopicId = 0;
+
+        // Optional event indexer (scripts/indexer.js); cycle history falls back to contract calls without it
+        this.indexerUrl = 'http://localhost:8787';
+        this.indexerAvailable = null;
+
+        // Window boundaries of the displayed cycle, counted down locally against chain time
+        this.cycleTiming = null;
+        this.cycleRefreshTimer = null;
+
+        // Role identifiers as hashed by the contract
+        this.roleIds = {
+            admin: ethers.id('ADMIN_ROLE'),
+            cycleOperator: ethers.id('CYCLE_OPERATOR_ROLE'),
+            analystVerifier: ethers.id('ANALYST_VERIFIER_ROLE'),
+            outcomeReporter: ethers.id('OUTCOME_REPORTER_ROLE')
+        };
+        this.roleNames = {
+            admin: 'Admin',
+            cycleOperator: 'Cycle Operator',
+            analystVerifier: 'Analyst Verifier',
+            outcomeReporter: 'Outcome Reporter'
+        };
+
+        // Mirrors the contract's SubmissionMode, AggregationMode and ApplicationStatus enums
+        this.submissionModes = { Encrypted: 0, CommitReveal: 1 };
+        this.aggregationModes = ['Confidence-weighted', 'Reputation-weighted'];
+        this.applicationStatus = { None: 0, Pending: 1, Approved: 2, Rejected: 3 };
+
+        // Addresses per verifyAnalysts/revokeAnalysts transaction, keeping FHE setup well under the block gas limit
+        this.analystBatchSize = 25;
+
+        // Owner dashboard rows, read through the lens in pages of analystPageSize
+        this.analystPageSize = 50;
+        this.analystRows = [];
+        this.analystSort = { key: 'lastSubmission', descending: true };
+        this.analystRefreshTimer = null;
+
+        // History of the connected account, loaded on connect
+        this.transactions = [];
+
+        // Turns contract reverts and wallet errors into readable notifications (assets/errors.js)
+        this.errorDecoder = new ContractErrorDecoder();
+
+        this.initializeApp();
+    }
+
+    async initializeApp() {
+        this.setupEventListeners();
+        this.renderTransactionHistory();
+        await this.loadDeployments();
+
+        // Check for existing wallet connection
+        if (typeof window.ethereum !== 'undefined' && window.ethereum.selectedAddress) {
+            await this.connectWallet();
+        }
+
+        // Contract events keep the dashboard current; the countdown only needs a local clock
+        setInterval(() => this.tickCountdown(), 1000);
+    }
+
+    setupEventListeners() {
+        // Wallet connection
+        document.getElementById('connectWallet').addEventListener('click', () => this.connectWallet());
+        document.getElementById('disconnectWallet').addEventListener('click', () => this.disconnectWallet());
+        if (typeof window.ethereum !== 'undefined') {
+            window.ethereum.on('accountsChanged', (accounts) => this.handleAccountsChanged(accounts));
+            window.ethereum.on('chainChanged', () => this.handleChainChanged());
+        }
+        document.getElementById('networkActions').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-switch-chain]');
+            if (button) this.switchNetwork(Number(button.dataset.switchChain));
+        });
+
+        // Cycle management
+        document.getElementById('topicSelect').addEventListener('change', (e) => this.selectTopic(Number(e.target.value)));
+        document.getElementById('refreshCycle').addEventListener('click', () => this.updateCycleInfo());
+        document.getElementById('createTopic').addEventListener('click', () => this.createTopic());
+        document.getElementById('initiateCycle').addEventListener('click', () => this.initiateCycle(false));
+        document.getElementById('restartCycle').addEventListener('click', () => this.initiateCycle(true));
+        document.getElementById('setKeeperBounty').addEventListener('click', () => this.setKeeperBounty());
+        document.getElementById('fundKeeperBounty').addEventListener('click', () => this.fundKeeperBounty());
+        document.getElementById('withdrawKeeperBounty').addEventListener('click', () => this.withdrawKeeperBounty());
+        document.getElementById('performAnalysis').addEventListener('click', () => this.performAnalysis());
+        document.getElementById('verifyCurrentUser').addEventListener('click', () => this.verifyCurrentUser());
+        document.getElementById('setThreshold').addEventListener('click', () => this.setStatisticsThreshold());
+        document.getElementById('resolveOutcome').addEventListener('click', () => this.resolveOutcome());
+        document.getElementById('setAggregationMode').addEventListener('click', () => this.setAggregationMode());
+
+        // Prediction form
+        document.getElementById('predictionForm').addEventListener('submit', (e) => this.submitPrediction(e));
+        document.getElementById('generateHash').addEventListener('click', () => this.generateRandomHash());
+        document.getElementById('revealPrediction').addEventListener('click', () => this.revealPrediction());
+
+        // Confidence level slider
+        const confidenceSlider = document.getElementById('confidenceLevel');
+        const confidenceDisplay = document.getElementById('confidenceDisplay');
+        confidenceSlider.addEventListener('input', (e) => {
+            confidenceDisplay.textContent = `${e.target.value}%`;
+        });
+
+        // Results
+        document.getElementById('requestResults').addEventListener('click', () => this.requestResults());
+        document.getElementById('cycleSelect').addEventListener('change', (e) => {
+            document.getElementById('requestResults').disabled = !e.target.value;
+        });
+
+        // Roles and ownership
+        document.getElementById('grantRole').addEventListener('click', () => this.updateRole(true));
+        document.getElementById('revokeRole').addEventListener('click', () => this.updateRole(false));
+        document.getElementById('transferOwnership').addEventListener('click', () => this.transferOwnership());
+        document.getElementById('acceptOwnership').addEventListener('click', () => this.acceptOwnership());
+
+        // Analyst onboarding
+        document.getElementById('applyAsAnalyst').addEventListener('click', () => this.applyAsAnalyst());
+        document.getElementById('refreshApplications').addEventListener('click', () => this.loadApplications());
+        document.getElementById('refreshAnalystDashboard').addEventListener('click', () => this.loadAnalystDashboard());
+        document.getElementById('analystSearch').addEventListener('input', () => this.renderAnalystDashboard());
+        document.getElementById('analystStatusFilter').addEventListener('change', () => this.renderAnalystDashboard());
+        document.querySelectorAll('#analystDashboard th[data-sort]').forEach(header => {
+            header.addEventListener('click', () => this.sortAnalysts(header.dataset.sort));
+        });
+        document.getElementById('revokeAnalyst').addEventListener('click', () => this.revokeAnalyst());
+        document.getElementById('batchVerify').addEventListener('click', () => this.batchUpdateAnalysts(true));
+        document.getElementById('batchRevoke').addEventListener('click', () => this.batchUpdateAnalysts(false));
+        document.getElementById('batchCsv').addEventListener('change', (e) => this.loadBatchCsv(e.target));
+        document.getElementById('applicationList').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-review-action]');
+            if (button) this.reviewApplication(button.dataset.applicant, button.dataset.reviewAction === 'approve');
+        });
+
+        // Own reputation
+        document.getElementById('revealReputation').addEventListener('click', () => this.revealReputation());
+
+        // Own prediction history
+        document.getElementById('refreshMyPredictions').addEventListener('click', () => this.loadMyPredictions());
+        document.getElementById('myPredictionsList').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-decrypt-cycle]');
+            if (button) this.decryptMyPrediction(Number(button.dataset.decryptCycle));
+        });
+
+        // Pre-flight confirmation
+        document.getElementById('confirmSend').addEventListener('click', () => this.closeConfirmation(true));
+        document.getElementById('confirmCancel').addEventListener('click', () => this.closeConfirmation(false));
+
+        // Transaction history
+        document.getElementById('clearHistory').addEventListener('click', () => this.clearTransactionHistory());
+
+        // Notification close
+        document.getElementById('closeNotification').addEventListener('click', () => this.hideNotification());
+
+        // Form validation
+        document.getElementById('trendValue').addEventListener('input', () => this.validateForm());
+        document.getElementById('dataHash').addEventListener('input', () => this.validateForm());
+    }
+
+    async connectWallet() {
+        try {
+            if (typeof window.ethereum === 'undefined') {
+                this.showNotification('Please install MetaMask or another Web3 wallet', 'error');
+                return;
+            }
+
+            this.showLoading('Connecting wallet...');
+
+            // Request account access
+            const accounts = await window.ethereum.request({ method: 'eth_requestAccounts' });
+
+            if (accounts.length === 0) {
+                throw new Error('No accounts found');
+            }
+
+            await this.setupConnection(accounts[0]);
+
+            this.hideLoading();
+            if (this.contract) {
+                this.showNotification('Wallet connected successfully', 'success');
+            }
+        } catch (error) {
+            this.hideLoading();
+            this.showError('Failed to connect wallet', error);
+            console.error('Wallet connection error:', error);
+        }
+    }
+
+    // Build the provider, signer and contract for an account on the wallet's current chain.
+    // Also used when the wallet switches account or network, so form input survives.
+    async setupConnection(account) {
+        this.teardownConnection();
+
+        this.provider = new ethers.BrowserProvider(window.ethereum);
+        this.signer = await this.provider.getSigner(account);
+        this.userAddress = account;
+        this.loadTransactions();
+
+        // Use the deployment registered for the wallet's network
+        const { chainId } = await this.provider.getNetwork();
+        this.chainId = Number(chainId);
+        this.recoverPendingTransactions();
+        const deployment = this.deployments[this.chainId];
+        this.contractAddress = deployment ? deployment.contractAddress : null;
+
+        if (!deployment) {
+            this.updateWalletUI();
+            this.updateSubmissionModeUI();
+            this.resetUI();
+            await this.updateNetworkInfo();
+            this.showNotification(`No deployment for chain ${this.chainId}, switch to a supported network`, 'warning');
+            return;
+        }
+        this.updateNetworkBanner();
+        document.getElementById('contractAddress').textContent = this.contractAddress;
+
+        // Verify contract deployment
+        try {
+            const code = await this.provider.getCode(this.contractAddress);
+            if (code === '0x') {
+                throw new Error('Contract not deployed at this address');
+            }
+            console.log('✅ Contract verified at address:', this.contractAddress);
+        } catch (error) {
+            throw new Error(`Contract verification failed: ${error.message}`);
+        }
+
+        // Initialize contract with the interface of the deployed variant
+        this.submissionMode = await this.detectSubmissionMode();
+        this.contract = new ethers.Contract(this.contractAddress, this.getContractABI(), this.signer);
+        this.lens = deployment.lensAddress ?
+            new ethers.Contract(deployment.lensAddress, this.lensABI, this.provider) : null;
+        this.updateSubmissionModeUI();
+
+        await this.loadRoles();
+
+        this.subscribeToEvents();
+
+        // Update UI
+        this.updateWalletUI();
+        await this.updateNetworkInfo();
+        await this.updateAnalystProfile();
+        await this.loadTopics();
+        await this.updateCycleInfo();
+        await this.populateCycleSelect();
+        await this.loadMyPredictions();
+        await this.loadStatisticsThreshold();
+        await this.loadAggregationMode();
+        await this.loadKeeperBounty();
+        await this.loadApplications();
+        await this.loadAnalystDashboard();
+    }
+
+    // Drop everything tied to the previous account and chain
+    teardownConnection() {
+        if (this.contract) {
+            this.contract.removeAllListeners();
+        }
+        clearTimeout(this.cycleRefreshTimer);
+        clearTimeout(this.analystRefreshTimer);
+
+        this.provider = null;
+        this.signer = null;
+        this.contract = null;
+        this.lens = null;
+        this.userAddress = null;
+        this.chainId = null;
+        this.contractAddress = null;
+        this.isOwner = false;
+        this.isPendingOwner = false;
+        this.roles = this.emptyRoles();
+        this.submissionMode = null;
+        this.fhevmInstance = null;
+        this.decryptionAuth = null;
+        this.indexerAvailable = null;
+        this.analystRows = [];
+    }
+
+    async disconnectWallet() {
+        this.teardownConnection();
+        this.loadTransactions();
+
+        this.updateWalletUI();
+        this.updateSubmissionModeUI();
+        this.resetUI();
+        this.showNotification('Wallet disconnected', 'warning');
+    }
+
+    async handleAccountsChanged(accounts) {
+        if (accounts.length === 0) {
+            if (this.userAddress) await this.disconnectWallet();
+            return;
+        }
+
+        // Only follow the wallet once it has been connected here
+        if (!this.userAddress || accounts[0].toLowerCase() === this.userAddress.toLowerCase()) return;
+        await this.reconnect(accounts[0], `Switched to ${accounts[0].slice(0, 6)}...${accounts[0].slice(-4)}`);
+    }
+
+    async handleChainChanged() {
+        if (!this.userAddress) return;
+        await this.reconnect(this.userAddress, 'Network changed');
+    }
+
+    async reconnect(account, message) {
+        try {
+            this.showLoading('Updating wallet connection...');
+            await this.setupConnection(account);
+
+            this.hideLoading();
+            if (this.contract) {
+                this.showNotification(message, 'success');
+            }
+        } catch (error) {
+            this.hideLoading();
+            this.showError('Failed to update wallet connection', error);
+            console.error('Wallet change error:', error);
+        }
+    }
+
+    updateWalletUI() {
+        const connectBtn = document.getElementById('connectWallet');
+        const walletInfo = document.getElementById('walletInfo');
+
+        if (this.userAddress) {
+            connectBtn.classList.add('hidden');
+            walletInfo.classList.remove('hidden');
+            document.getElementById('walletAddress').textContent =
+                `${this.userAddress.slice(0, 6)}...${this.userAddress.slice(-4)}`;
+        } else {
+            connectBtn.classList.remove('hidden');
+            walletInfo.classList.add('hidden');
+        }
+
+        // Show/hide controls for the roles held by the connected wallet
+        const analysisControls = document.getElementById('analysisControls');
+        const analystApplications = document.getElementById('analystApplications');
+        const analystDashboard = document.getElementById('analystDashboard');
+        const heldRoles = Object.keys(this.roles).filter(role => this.roles[role]);
+        const hasControls = this.userAddress && (heldRoles.length > 0 || this.isOwner || this.isPendingOwner);
+
+        analysisControls.style.display = hasControls ? 'block' : 'none';
+        analystApplications.style.display = this.userAddress && this.roles.analystVerifier ? 'block' : 'none';
+        analystDashboard.style.display = this.userAddress && this.isOwner ? 'block' : 'none';
+
+        analysisControls.querySelectorAll('[data-role]').forEach(element => {
+            element.classList.toggle('hidden', !this.hasRole(element.dataset.role));
+        });
+
+        const labels = heldRoles.map(role => this.roleNames[role]);
+        if (this.isOwner) labels.unshift('Owner');
+        document.getElementById('roleBadge').textContent = labels.length > 0 ? labels.join(' · ') : 'Pending Owner';
+    }
+
+    emptyRoles() {
+        return { admin: false, cycleOperator: false, analystVerifier: false, outcomeReporter: false };
+    }
+
+    hasRole(role) {
+        if (role === 'owner') return this.isOwner;
+        if (role === 'pendingOwner') return this.isPendingOwner;
+        return Boolean(this.roles[role]);
+    }
+
+    async loadRoles() {
+        try {
+            const [owner, pendingOwner] = await Promise.all([this.contract.owner(), this.contract.pendingOwner()]);
+            const user = this.userAddress.toLowerCase();
+            this.isOwner = owner.toLowerCase() === user;
+            this.isPendingOwner = pendingOwner.toLowerCase() === user;
+
+            const roleKeys = Object.keys(this.roleIds);
+            const held = await Promise.all(roleKeys.map(role => this.contract.hasRole(this.roleIds[role], this.userAddress)));
+            this.roles = this.emptyRoles();
+            roleKeys.forEach((role, i) => { this.roles[role] = held[i]; });
+
+            console.log('📋 Contract owner:', owner);
+            console.log('👤 Current user:', this.userAddress);
+            console.log('🔑 Roles:', this.roles);
+        } catch (error) {
+            console.warn('Could not fetch roles:', error);
+            this.isOwner = false;
+            this.isPendingOwner = false;
+            this.roles = this.emptyRoles();
+        }
+    }
+
+    async updateRole(grant) {
+        if (!this.contract || !this.roles.admin) {
+            this.showNotification('Only admins can manage roles', 'error');
+            return;
+        }
+
+        const account = document.getElementById('roleAccount').value.trim();
+        const role = document.getElementById('roleSelect').value;
+
+        if (!ethers.isAddress(account)) {
+            this.showNotification('Please enter a valid address', 'error');
+            return;
+        }
+
+        if (role === 'admin' && !this.isOwner) {
+            this.showNotification('Only the owner can manage admins', 'error');
+            return;
+        }
+
+        try {
+            this.showLoading(grant ? 'Granting role...' : 'Revoking role...');
+
+            const tx = grant ?
+                await this.sendWithPreflight('Grant Role', 'grantRole', [this.roleIds[role], account]) :
+                await this.sendWithPreflight('Revoke Role', 'revokeRole', [this.roleIds[role], account]);
+
+            this.addTransaction({
+                type: grant ? 'Grant Role' : 'Revoke Role',
+                hash: tx.hash,
+                status: 'pending'
+            });
+
+            const receipt = await this.waitForTransaction(tx);
+
+            // The connected wallet may have changed its own roles
+            await this.loadRoles();
+            this.updateWalletUI();
+
+            this.hideLoading();
+            this.showNotification(`${this.roleNames[role]} role ${grant ? 'granted to' : 'revoked from'} ${account.slice(0, 6)}...${account.slice(-4)}`, 'success');
+
+        } catch (error) {
+            this.hideLoading();
+            this.showError('Failed to update role', error);
+            console.error('Role update error:', error);
+        }
+    }
+
+    async transferOwnership() {
+        if (!this.contract || !this.isOwner) {
+            this.showNotification('Only the owner can transfer ownership', 'error');
+            return;
+        }
+
+        const newOwner = document.getElementById('newOwner').value.trim();
+        if (!ethers.isAddress(newOwner)) {
+            this.showNotification('Please enter a valid address', 'error');
+            return;
+        }
+
+        try {
+            this.showLoading('Starting ownership transfer...');
+
+            const tx = await this.sendWithPreflight('Transfer Ownership', 'transferOwnership', [newOwner]);
+
+            this.addTransaction({
+                type: 'Transfer Ownership',
+                hash: tx.hash,
+                status: 'pending'
+            });
+
+            const receipt = await this.waitForTransaction(tx);
+            document.getElementById('newOwner').value = '';
+
+            this.hideLoading();
+            this.showNotification('Ownership offered, the new owner must accept it to complete the transfer', 'success');
+
+        } catch (error) {
+            this.hideLoading();
+            this.showError('Failed to transfer ownership', error);
+            console.error('Ownership transfer error:', error);
+        }
+    }
+
+    async acceptOwnership() {
+        if (!this.contract || !this.isPendingOwner) {
+            this.showNotification('Ownership has not been offered to this wallet', 'error');
+            return;
+        }
+
+        try {
+            this.showLoading('Accepting ownership...');
+
+            const tx = await this.sendWithPreflight('Accept Ownership', 'acceptOwnership');
+
+            this.addTransaction({
+                type: 'Accept Ownership',
+                hash: tx.hash,
+                status: 'pending'
+            });
+
+            const receipt = await this.waitForTransaction(tx);
+            await this.loadRoles();
+            this.updateWalletUI();
+
+            this.hideLoading();
+            this.showNotification('You are now the contract owner', 'success');
+
+        } catch (error) {
+            this.hideLoading();
+            this.showError('Failed to accept ownership', error);
+            console.error('Ownership acceptance error:', error);
+        }
+    }
+
+    // Both variants report their submission mode; a contract that doesn't is not one of them
+    async detectSubmissionMode() {
+        const probe = new ethers.Contract(this.contractAddress, this.contractABI, this.provider);
+        try {
+            return Number(await probe.submissionMode());
+        } catch (error) {
+            throw new Error(`No trend predictor at ${this.contractAddress}: ${error.shortMessage || error.message}`);
+        }
+    }
+
+    getContractABI() {
+        return [...this.contractABI, ...(this.isCommitReveal() ? this.commitRevealABI : this.encryptedABI)];
+    }
+
+    isCommitReveal() {
+        return this.submissionMode === this.submissionModes.CommitReveal;
+    }
+
+    updateSubmissionModeUI() {
+        const commitReveal = this.isCommitReveal();
+
+        document.getElementById('submissionMode').textContent = this.submissionMode === null ? '-' :
+            commitReveal ? 'Commit-Reveal' : 'FHE Encrypted';
+        document.getElementById('trendValueHelp').textContent = commitReveal ?
+            'Committed as a hash now and revealed in the analysis window (0 to 4,294,967,295)' :
+            'Encrypted in your browser before submission (0 to 4,294,967,295)';
+        document.getElementById('revealPanel').classList.toggle('hidden', !commitReveal);
+        document.getElementById('revealReputation').classList.toggle('hidden', commitReveal);
+    }
+
+    async updateNetworkInfo() {
+        if (!this.provider) return;
+
+        try {
+            const network = await this.provider.getNetwork();
+            const name = this.networks[this.chainId]?.chainName ||
+                (network.name !== 'unknown' ? network.name : `Chain ID: ${network.chainId}`);
+            document.getElementById('networkName').textContent =
+                this.contractAddress ? name : `${name} (unsupported)`;
+        } catch (error) {
+            console.error('Network info error:', error);
+            document.getElementById('networkName').textContent = 'Unknown';
+        }
+    }
+
+    async loadDeployments() {
+        try {
+            const response = await fetch('deployments.json', { cache: 'no-store' });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            this.deployments = await response.json();
+        } catch (error) {
+            console.error('Deployment registry error:', error);
+            this.deployments = {};
+        }
+    }
+
+    updateNetworkBanner() {
+        const banner = document.getElementById('networkBanner');
+        const unsupported = this.userAddress && !this.contractAddress;
+        banner.classList.toggle('hidden', !unsupported);
+        if (!unsupported) return;
+
+        document.getElementById('networkBannerText').textContent =
+            `The contract is not deployed on chain ${this.chainId}. Switch your wallet to a supported network.`;
+
+        document.getElementById('networkActions').innerHTML = Object.entries(this.networks).map(([chainId, network]) => {
+            const deployed = Boolean(this.deployments[chainId]);
+            return `
+                <button class="btn btn-outline" data-switch-chain="${chainId}" ${deployed ? '' : 'disabled'}>
+                    Switch to ${network.chainName}${deployed ? '' : ' (not deployed)'}
+                </button>
+            `;
+        }).join('');
+    }
+
+    async switchNetwork(chainId) {
+        const chainIdHex = ethers.toQuantity(chainId);
+
+        try {
+            await window.ethereum.request({ method: 'wallet_switchEthereumChain', params: [{ chainId: chainIdHex }] });
+        } catch (error) {
+            // 4902: the wallet doesn't know the chain yet, so offer to add it
+            const unknownChain = error.code === 4902 || error.data?.originalError?.code === 4902;
+            if (!unknownChain) {
+                this.showError('Failed to switch network', error);
+                console.error('Network switch error:', error);
+                return;
+            }
+
+            try {
+                await window.ethereum.request({
+                    method: 'wallet_addEthereumChain',
+                    params: [{ chainId: chainIdHex, ...this.networks[chainId] }]
+                });
+            } catch (addError) {
+                this.showNotification(`Failed to add network: ${addError.message}`, 'error');
+                console.error('Network add error:', addError);
+            }
+        }
+    }
+
+    async updateAnalystProfile() {
+        if (!this.contract || !this.userAddress) {
+            this.resetAnalystProfile();
+            return;
+        }
+
+        try {
+            const profile = await this.contract.getAnalystProfile(this.userAddress);
+            const [totalPredictions, accurateCount, isVerified, lastSubmission] = profile;
+
+            // Update verification status
+            const statusElement = document.getElementById('verificationStatus');
+            const messageElement = document.getElementById('verificationMessage');
+
+            const application = isVerified ? null : await this.contract.getApplication(this.userAddress);
+            const applicationStatus = application ? Number(application.status) : this.applicationStatus.None;
+
+            if (isVerified) {
+                messageElement.textContent = '✓ You are a verified analyst';
+                messageElement.className = 'status-message verified';
+            } else if (applicationStatus === this.applicationStatus.Pending) {
+                messageElement.textContent = '⏳ Your application is awaiting review';
+                messageElement.className = 'status-message pending';
+            } else if (applicationStatus === this.applicationStatus.Rejected) {
+                messageElement.textContent = '⚠ Your application was rejected, you may apply again';
+                messageElement.className = 'status-message unverified';
+            } else {
+                messageElement.textContent = '⚠ You are not verified as an analyst';
+                messageElement.className = 'status-message unverified';
+            }
+
+            // Unverified wallets without an open application can apply
+            document.getElementById('applicationForm').classList.toggle('hidden',
+                isVerified || applicationStatus === this.applicationStatus.Pending);
+
+            // Update stats
+            document.getElementById('totalPredictions').textContent = totalPredictions.toString();
+            document.getElementById('accurateCount').textContent = accurateCount.toString();
+
+            const lastSubmissionDate = lastSubmission > 0 ?
+                new Date(Number(lastSubmission) * 1000).toLocaleDateString() : 'Never';
+            document.getElementById('lastSubmission').textContent = lastSubmissionDate;
+
+            // Reputation stays hidden until the analyst decrypts it; commit-reveal
+            // deployments keep it in plaintext
+            if (isVerified && this.isCommitReveal()) {
+                const reputation = await this.contract.getReputation(this.userAddress);
+                document.getElementById('reputationScore').textContent = `${reputation.toString()} / 100`;
+            } else {
+                document.getElementById('reputationScore').textContent = isVerified ? '🔒 Encrypted' : '-';
+            }
+            document.getElementById('revealReputation').disabled = !isVerified || this.isCommitReveal();
+
+        } catch (error) {
+            console.error('Analyst profile error:', error);
+            this.resetAnalystProfile();
+        }
+    }
+
+    resetAnalystProfile() {
+        document.getElementById('verificationMessage').textContent = 'Connect wallet to check verification status';
+        document.getElementById('verificationMessage').className = 'status-message';
+        document.getElementById('totalPredictions').textContent = '-';
+        document.getElementById('accurateCount').textContent = '-';
+        document.getElementById('lastSubmission').textContent = '-';
+        document.getElementById('reputationScore').textContent = '-';
+        document.getElementById('revealReputation').disabled = true;
+        document.getElementById('applicationForm').classList.add('hidden');
+    }
+
+    async applyAsAnalyst() {
+        if (!this.contract || !this.userAddress) {
+            this.showNotification('Please connect your wallet first', 'error');
+            return;
+        }
+
+        const metadataURI = document.getElementById('applicationURI').value.trim();
+        const metadataHash = document.getElementById('applicationHash').value.trim() || ethers.ZeroHash;
+
+        if (!metadataURI && metadataHash === ethers.ZeroHash) {
+            this.showNotification('Please provide a metadata URI or hash', 'error');
+            return;
+        }
+
+        if (!metadataHash.match(/^0x[a-fA-F0-9]{64}$/)) {
+            this.showNotification('Please enter a valid 32-byte hash', 'error');
+            return;
+        }
+
+        try {
+            this.showLoading('Submitting analyst application...');
+
+            const tx = await this.sendWithPreflight('Apply as Analyst', 'applyAsAnalyst', [metadataURI, metadataHash]);
+
+            this.addTransaction({
+                type: 'Apply as Analyst',
+                hash: tx.hash,
+                status: 'pending'
+            });
+
+            const receipt = await this.waitForTransaction(tx);
+            await this.updateAnalystProfile();
+
+            document.getElementById('applicationURI').value = '';
+            document.getElementById('applicationHash').value = '';
+
+            this.hideLoading();
+            this.showNotification('Application submitted for review', 'success');
+
+        } catch (error) {
+            this.hideLoading();
+            this.showError('Failed to submit application', error);
+            console.error('Application error:', error);
+        }
+    }
+
+    async loadApplications() {
+        if (!this.contract || !this.roles.analystVerifier) return;
+
+        const container = document.getElementById('applicationList');
+
+        try {
+            const applicants = await this.contract.getPendingApplications();
+
+            if (applicants.length === 0) {
+                container.innerHTML = '<div class="empty-state">No pending applications</div>';
+                return;
+            }
+
+            const applications = await Promise.all(applicants.map(async (applicant) => {
+                const application = await this.contract.getApplication(applicant);
+                return { applicant, ...application.toObject() };
+            }));
+
+            // Oldest application first
+            applications.sort((a, b) => Number(a.submittedAt - b.submittedAt));
+
+            container.innerHTML = applications.map(a => `
+                <div class="application-item">
+                    <div class="prediction-info">
+                        <div class="prediction-cycle">${a.applicant.slice(0, 6)}...${a.applicant.slice(-4)}</div>
+                        <div class="prediction-meta">Applied ${new Date(Number(a.submittedAt) * 1000).toLocaleString()}</div>
+                        ${a.metadataURI ? `<div class="prediction-meta">${this.escapeHtml(a.metadataURI)}</div>` : ''}
+                        ${a.metadataHash !== ethers.ZeroHash ?
+                            `<div class="transaction-hash">${a.metadataHash.slice(0, 10)}...${a.metadataHash.slice(-8)}</div>` : ''}
+                    </div>
+                    <div class="application-actions">
+                        <button type="button" class="btn btn-success btn-sm" data-review-action="approve" data-applicant="${a.applicant}">Approve</button>
+                        <button type="button" class="btn btn-outline btn-sm" data-review-action="reject" data-applicant="${a.applicant}">Reject</button>
+                    </div>
+                </div>
+            `).join('');
+        } catch (error) {
+            console.error('Application list error:', error);
+            container.innerHTML = '<div class="empty-state">Could not load applications</div>';
+        }
+    }
+
+    async reviewApplication(applicant, approve) {
+        if (!this.contract || !this.roles.analystVerifier) {
+            this.showNotification('Only analyst verifiers can review applications', 'error');
+            return;
+        }
+
+        const shortAddress = `${applicant.slice(0, 6)}...${applicant.slice(-4)}`;
+
+        try {
+            this.showLoading(approve ? 'Approving application...' : 'Rejecting application...');
+
+            const tx = approve ?
+                await this.sendWithPreflight('Approve Analyst', 'approveApplication', [applicant]) :
+                await this.sendWithPreflight('Reject Analyst', 'rejectApplication', [applicant]);
+
+            this.addTransaction({
+                type: approve ? 'Approve Analyst' : 'Reject Analyst',
+                hash: tx.hash,
+                status: 'pending'
+            });
+
+            const receipt = await this.waitForTransaction(tx);
+            await this.loadApplications();
+            await this.updateAnalystProfile();
+
+            this.hideLoading();
+            this.showNotification(approve ? `${shortAddress} verified as analyst` : `Application from ${shortAddress} rejected`, 'success');
+
+        } catch (error) {
+            this.hideLoading();
+            this.showError('Failed to review application', error);
+            console.error('Application review error:', error);
+        }
+    }
+
+    async revokeAnalyst() {
+        if (!this.contract || !this.roles.analystVerifier) {
+            this.showNotification('Only analyst verifiers can revoke analysts', 'error');
+            return;
+        }
+
+        const analyst = document.getElementById('revokeAddress').value.trim();
+        if (!ethers.isAddress(analyst)) {
+            this.showNotification('Please enter a valid address', 'error');
+            return;
+        }
+
+        try {
+            this.showLoading('Revoking analyst...');
+
+            const tx = await this.sendWithPreflight('Revoke Analyst', 'revokeAnalyst', [analyst]);
+
+            this.addTransaction({
+                type: 'Revoke Analyst',
+                hash: tx.hash,
+                status: 'pending'
+            });
+
+            const receipt = await this.waitForTransaction(tx);
+            await this.updateAnalystProfile();
+
+            document.getElementById('revokeAddress').value = '';
+
+            this.hideLoading();
+            this.showNotification('Analyst verification revoked', 'success');
+
+        } catch (error) {
+            this.hideLoading();
+            this.showError('Failed to revoke analyst', error);
+            console.error('Revocation error:', error);
+        }
+    }
+
+    async loadAnalystDashboard() {
+        if (!this.contract || !this.isOwner) return;
+
+        if (!this.lens) {
+            document.getElementById('analystTableBody').innerHTML =
+                '<tr><td colspan="6" class="empty-state">The analyst dashboard needs a lens deployment on this network</td></tr>';
+            return;
+        }
+
+        try {
+            const count = Number(await this.lens.getAnalystCount(this.contractAddress));
+
+            // One call per page: the lens reads each profile and streak on-chain
+            const rows = [];
+            for (let offset = 0; offset < count; offset += this.analystPageSize) {
+                const page = await this.lens.getAnalystRows(
+                    this.contractAddress, this.currentTopicId, offset, this.analystPageSize);
+                rows.push(...page.map(row => ({
+                    address: row.analyst,
+                    isVerified: row.isVerified,
+                    totalPredictions: Number(row.totalPredictions),
+                    accurateCount: Number(row.accurateCount),
+                    lastSubmission: Number(row.lastSubmission),
+                    streak: Number(row.streak)
+                })));
+            }
+            this.analystRows = rows;
+
+            this.renderAnalystDashboard();
+        } catch (error) {
+            console.error('Analyst dashboard error:', error);
+            document.getElementById('analystTableBody').innerHTML =
+                '<tr><td colspan="6" class="empty-state">Could not load analysts</td></tr>';
+        }
+    }
+
+    sortAnalysts(key) {
+        // Clicking the active column flips the order; a new column starts with the largest values
+        this.analystSort = this.analystSort.key === key ?
+            { key, descending: !this.analystSort.descending } :
+            { key, descending: key !== 'address' };
+        this.renderAnalystDashboard();
+    }
+
+    renderAnalystDashboard() {
+        const search = document.getElementById('analystSearch').value.trim().toLowerCase();
+        const status = document.getElementById('analystStatusFilter').value;
+        const { key, descending } = this.analystSort;
+
+        const matchesStatus = {
+            all: () => true,
+            verified: (row) => row.isVerified,
+            revoked: (row) => !row.isVerified,
+            participating: (row) => row.streak > 0,
+            idle: (row) => row.isVerified && row.streak === 0
+        }[status];
+
+        const rows = this.analystRows
+            .filter(row => row.address.toLowerCase().includes(search) && matchesStatus(row))
+            .sort((a, b) => {
+                const order = key === 'address' ?
+                    a.address.toLowerCase().localeCompare(b.address.toLowerCase()) :
+                    Number(a[key]) - Number(b[key]);
+                return descending ? -order : order;
+            });
+
+        document.querySelectorAll('#analystDashboard th[data-sort]').forEach(header => {
+            header.classList.toggle('sorted', header.dataset.sort === key);
+            header.classList.toggle('descending', header.dataset.sort === key && descending);
+        });
+
+        const tbody = document.getElementById('analystTableBody');
+        if (rows.length === 0) {
+            const message = this.analystRows.length === 0 ? 'No analysts verified yet' : 'No analysts match the filter';
+            tbody.innerHTML = `<tr><td colspan="6" class="empty-state">${message}</td></tr>`;
+        } else {
+            tbody.innerHTML = rows.map(row => `
+                <tr>
+                    <td class="transaction-hash" title="${row.address}">${row.address.slice(0, 6)}...${row.address.slice(-4)}</td>
+                    <td><span class="analyst-state ${row.isVerified ? 'verified' : 'revoked'}">${row.isVerified ? 'Verified' : 'Revoked'}</span></td>
+                    <td>${row.totalPredictions}</td>
+                    <td>${row.accurateCount}</td>
+                    <td>${row.lastSubmission > 0 ? new Date(row.lastSubmission * 1000).toLocaleString() : 'Never'}</td>
+                    <td>${row.streak}</td>
+                </tr>
+            `).join('');
+        }
+
+        const verified = this.analystRows.filter(row => row.isVerified).length;
+        const participating = this.analystRows.filter(row => row.streak > 0).length;
+        document.getElementById('analystDashboardSummary').textContent = this.analystRows.length === 0 ? '' :
+            `Showing ${rows.length} of ${this.analystRows.length} analysts · ${verified} verified · ${participating} participating in this topic`;
+    }
+
+    async loadBatchCsv(input) {
+        const file = input.files[0];
+        if (!file) return;
+
+        const textarea = document.getElementById('batchAddresses');
+        const text = await file.text();
+        textarea.value = textarea.value.trim() ? `${textarea.value.trim()}\n${text}` : text;
+        input.value = '';
+    }
+
+    // Pick every address-like cell out of pasted text or CSV rows and validate it
+    parseBatchAddresses(text) {
+        const seen = new Set();
+
+        // Quotes come off before empty tokens are dropped; anything else left is reported
+        const inputs = text.split(/[\s,;]+/)
+            .map(token => token.replace(/^["']+|["']+$/g, ''))
+            .filter(input => input !== '');
+
+        return inputs.map(input => {
+            if (!/^0x[0-9a-fA-F]{40}$/.test(input)) {
+                return { input, address: null, outcome: 'error', message: 'Not an address' };
+            }
+
+            let address;
+            try {
+                // Mixed-case input has to match its checksum; single-case input carries none
+                address = ethers.getAddress(input);
+            } catch (error) {
+                return { input, address: null, outcome: 'error', message: 'Invalid checksum' };
+            }
+
+            if (address === ethers.ZeroAddress) {
+                return { input, address: null, outcome: 'error', message: 'Zero address' };
+            }
+
+            if (seen.has(address)) {
+                return { input, address, outcome: 'skipped', message: 'Duplicate' };
+            }
+            seen.add(address);
+            return { input, address, outcome: null, message: null };
+        });
+    }
+
+    async batchUpdateAnalysts(verify) {
+        if (!this.contract || !this.roles.analystVerifier) {
+            this.showNotification('Only analyst verifiers can manage analysts', 'error');
+            return;
+        }
+
+        const entries = this.parseBatchAddresses(document.getElementById('batchAddresses').value);
+        if (entries.length === 0) {
+            this.showNotification('Paste or load at least one address', 'error');
+            return;
+        }
+
+        const action = verify ? 'Verify Analysts' : 'Revoke Analysts';
+
+        try {
+            this.showLoading('Checking analyst profiles...');
+
+            // Skip addresses that are already in the requested state
+            const pending = [];
+            for (const entry of entries.filter(e => e.outcome === null)) {
+                const { isVerified } = await this.contract.getAnalystProfile(entry.address);
+                if (isVerified === verify) {
+                    entry.outcome = 'skipped';
+                    entry.message = verify ? 'Already verified' : 'Not verified';
+                } else {
+                    pending.push(entry);
+                }
+            }
+
+            for (let i = 0; i < pending.length; i += this.analystBatchSize) {
+                const batch = pending.slice(i, i + this.analystBatchSize);
+                this.showLoading(`${verify ? 'Verifying' : 'Revoking'} analysts ${i + 1}-${i + batch.length} of ${pending.length}...`);
+
+                try {
+                    const tx = await this.sendWithPreflight(action, verify ? 'verifyAnalysts' : 'revokeAnalysts',
+                        [batch.map(entry => entry.address)]);
+
+                    this.addTransaction({
+                        type: action,
+                        hash: tx.hash,
+                        status: 'pending'
+                    });
+
+                    await this.waitForTransaction(tx);
+                    batch.forEach(entry => {
+                        entry.outcome = 'success';
+                        entry.message = verify ? 'Verified' : 'Revoked';
+                    });
+                } catch (error) {
+                    const message = error.code === 'TRANSACTION_CANCELLED' ?
+                        'Cancelled before sending' :
+                        this.decodeError(error).message;
+                    pending.slice(i).forEach(entry => {
+                        entry.outcome = 'error';
+                        entry.message = message;
+                    });
+                    console.error('Batch analyst error:', error);
+                    break;
+                }
+            }
+
+            this.renderBatchReport(entries);
+            await this.loadApplications();
+            await this.updateAnalystProfile();
+
+            this.hideLoading();
+            const failed = entries.filter(e => e.outcome === 'error').length;
+            this.showNotification(
+                failed > 0 ? `${action}: ${failed} of ${entries.length} addresses failed, see the report` : `${action}: done`,
+                failed > 0 ? 'warning' : 'success'
+            );
+        } catch (error) {
+            this.hideLoading();
+            this.showError(`Failed to ${verify ? 'verify' : 'revoke'} analysts`, error);
+            console.error('Batch analyst error:', error);
+        }
+    }
+
+    renderBatchReport(entries) {
+        const report = document.getElementById('batchReport');
+        const count = (outcome) => entries.filter(e => e.outcome === outcome).length;
+
+        report.innerHTML = `
+            <div class="batch-summary">
+                ${count('success')} updated · ${count('skipped')} skipped · ${count('error')} failed
+            </div>
+            ${entries.map(entry => `
+                <div class="batch-row ${entry.outcome}">
+                    <span class="batch-address">${this.escapeHtml(entry.address || entry.input)}</span>
+                    <span class="batch-result">${this.escapeHtml(entry.message)}</span>
+                </div>
+            `).join('')}
+        `;
+        report.classList.remove('hidden');
+    }
+
+    async revealReputation() {
+        if (!this.contract || !this.userAddress) {
+            this.showNotification('Please connect your wallet first', 'error');
+            return;
+        }
+
+        try {
+            this.showLoading('Decrypting reputation (sign the request in your wallet)...');
+
+            const handle = await this.contract.getEncryptedReputation(this.userAddress);
+            const [reputation] = await this.userDecrypt([handle]);
+
+            document.getElementById('reputationScore').textContent =
+                reputation !== null ? `${reputation.toString()} / 100` : 'N/A';
+
+            this.hideLoading();
+        } catch (error) {
+            this.hideLoading();
+            this.showError('Failed to decrypt reputation', error);
+            console.error('Reputation decryption error:', error);
+        }
+    }
+
+    async loadMyPredictions() {
+        const container = document.getElementById('myPredictionsList');
+
+        if (!this.contract || !this.userAddress) {
+            container.innerHTML = '<div class="empty-state">Connect wallet to see your predictions</div>';
+            return;
+        }
+
+        try {
+            const cycles = await this.contract.getAnalystCycles(this.currentTopicId, this.userAddress);
+
+            if (cycles.length === 0) {
+                container.innerHTML = '<div class="empty-state">No predictions submitted yet</div>';
+                return;
+            }
+
+            // Most recent cycle first
+            const predictions = await Promise.all([...cycles].reverse().map(async (cycle) => {
+                const prediction = await this.contract.getAnalystPrediction(this.currentTopicId, cycle, this.userAddress);
+                return { cycle: Number(cycle), prediction };
+            }));
+
+            // Commit-reveal predictions are public once revealed, FHE ones are decrypted on demand
+            const renderValues = ({ cycle, prediction }) => {
+                if (!this.isCommitReveal()) {
+                    return `
+                        <span class="prediction-value" data-field="value">🔒 Encrypted</span>
+                        <span class="prediction-value" data-field="confidence"></span>
+                        <button type="button" class="btn btn-outline btn-sm" data-decrypt-cycle="${cycle}">Decrypt</button>`;
+                }
+                if (!prediction.revealed) {
+                    return '<span class="prediction-value">🔒 Committed, not revealed</span>';
+                }
+                return `
+                        <span class="prediction-value">Value: ${prediction.value.toString()}</span>
+                        <span class="prediction-value">Confidence: ${prediction.confidenceLevel.toString()}%</span>`;
+            };
+
+            container.innerHTML = predictions.map(p => `
+                <div class="prediction-item" id="myPrediction-${p.cycle}">
+                    <div class="prediction-info">
+                        <div class="prediction-cycle">Cycle ${p.cycle}</div>
+                        <div class="prediction-meta">${new Date(Number(p.prediction.timestamp) * 1000).toLocaleString()}</div>
+                        <div class="transaction-hash">${p.prediction.dataHash.slice(0, 10)}...${p.prediction.dataHash.slice(-8)}</div>
+                    </div>
+                    <div class="prediction-values">${renderValues(p)}
+                    </div>
+                </div>
+            `).join('');
+        } catch (error) {
+            console.error('Prediction history error:', error);
+            container.innerHTML = '<div class="empty-state">Could not load prediction history</div>';
+        }
+    }
+
+    async decryptMyPrediction(cycle) {
+        if (!this.contract || !this.userAddress) {
+            this.showNotification('Please connect your wallet first', 'error');
+            return;
+        }
+
+        const row = document.getElementById(`myPrediction-${cycle}`);
+
+        try {
+            this.showLoading('Decrypting prediction (sign the request in your wallet)...');
+
+            const prediction = await this.contract.getAnalystPrediction(this.currentTopicId, cycle, this.userAddress);
+            const [value, confidence] = await this.userDecrypt([prediction.encryptedValue, prediction.confidenceLevel]);
+
+            row.querySelector('[data-field="value"]').textContent = `Value: ${value}`;
+            row.querySelector('[data-field="confidence"]').textContent = `Confidence: ${confidence}%`;
+            row.querySelector('[data-decrypt-cycle]').remove();
+
+            this.hideLoading();
+        } catch (error) {
+            this.hideLoading();
+            this.showError('Failed to decrypt prediction', error);
+            console.error('Prediction decryption error:', error);
+        }
+    }
+
+    async loadTopics() {
+        if (!this.contract) return;
+
+        try {
+            const count = Number(await this.contract.topicCount());
+            const topics = await Promise.all(
+                Array.from({ length: count }, (_, topicId) => this.contract.getTopic(topicId))
+            );
+
+            const select = document.getElementById('topicSelect');
+            select.innerHTML = topics.map((topic, topicId) =>
+                `<option value="${topicId}">${this.escapeHtml(topic.name)}</option>`
+            ).join('');
+
+            if (this.currentTopicId >= count) {
+                this.currentTopicId = 0;
+            }
+            select.value = this.currentTopicId.toString();
+        } catch (error) {
+            console.error('Topic list error:', error);
+        }
+    }
+
+    async selectTopic(topicId) {
+        this.currentTopicId = topicId;
+
+        // Results belong to the previously selected topic
+        document.getElementById('resultsContent').classList.add('hidden');
+        document.getElementById('requestResults').disabled = true;
+
+        await this.updateCycleInfo();
+        await this.populateCycleSelect();
+        await this.loadMyPredictions();
+        await this.loadStatisticsThreshold();
+        await this.loadAggregationMode();
+        await this.loadAnalystDashboard();
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    async updateCycleInfo() {
+        if (!this.contract) {
+            this.resetCycleInfo();
+            return;
+        }
+
+        try {
+            const cycleInfo = await this.contract.getCurrentCycleInfo(this.currentTopicId);
+            const [cycle, startTime, participantCount, analysisCompleted, submissionWindowActive, analysisWindowActive] = cycleInfo;
+
+            // Update basic info
+            document.getElementById('currentCycle').textContent = cycle.toString();
+            document.getElementById('participantCount').textContent = participantCount.toString();
+
+            // Update cycle status
+            const statusElement = document.getElementById('cycleStatus');
+            if (submissionWindowActive) {
+                statusElement.textContent = '🟢 Submission Window Open';
+                statusElement.className = 'status-badge active';
+            } else if (analysisWindowActive) {
+                statusElement.textContent = '🟡 Analysis Window Open';
+                statusElement.className = 'status-badge active';
+            } else if (analysisCompleted) {
+                statusElement.textContent = '✅ Analysis Completed';
+                statusElement.className = 'status-badge';
+            } else {
+                statusElement.textContent = '🔴 Cycle Inactive';
+                statusElement.className = 'status-badge inactive';
+            }
+
+            // Restart the local countdown from the cycle schedule
+            await this.updateCycleSchedule(submissionWindowActive || analysisWindowActive);
+
+            // Update form state
+            this.updateFormState(submissionWindowActive);
+
+            // Commit-reveal cycles are analyzed once every commitment is revealed, or
+            // after the analysis window with whatever was revealed in time
+            let analysisReady = analysisWindowActive;
+            if (this.isCommitReveal()) {
+                const { committed, revealed } = await this.updateRevealState(cycle, analysisWindowActive, analysisCompleted);
+                analysisReady = revealed > 0n && !submissionWindowActive &&
+                    (revealed === committed || !analysisWindowActive);
+            }
+
+            // Cycle transitions are open to anyone once the windows allow them
+            document.getElementById('initiateCycle').disabled =
+                !this.userAddress || submissionWindowActive || analysisWindowActive;
+            document.getElementById('performAnalysis').disabled =
+                !this.userAddress || !analysisReady || analysisCompleted || Number(participantCount) === 0;
+
+        } catch (error) {
+            console.error('Cycle info error:', error);
+            this.resetCycleInfo();
+        }
+    }
+
+    async updateCycleSchedule(cycleOpen) {
+        if (!this.contract) return;
+
+        try {
+            const schedule = await this.contract.getCycleSchedule(this.currentTopicId);
+            const startTime = Number(schedule.startTime);
+            const submissionWindow = Number(schedule.submissionWindowDuration);
+            const cycleDuration = Number(schedule.cycleDurationSeconds);
+
+            document.getElementById('cycleSchedule').textContent =
+                `${this.formatDuration(submissionWindow)} submission / ${this.formatDuration(cycleDuration)} cycle`;
+
+            // Windows close on block time, so measure how far the local clock is from the chain
+            const latestBlock = await this.provider.getBlock('latest');
+            this.cycleTiming = {
+                open: cycleOpen,
+                submissionEnd: startTime + submissionWindow,
+                cycleEnd: startTime + cycleDuration,
+                clockOffset: latestBlock.timestamp - Math.floor(Date.now() / 1000),
+                phase: null
+            };
+            this.tickCountdown();
+        } catch (error) {
+            console.error('Cycle schedule error:', error);
+        }
+    }
+
+    tickCountdown() {
+        const timing = this.cycleTiming;
+        if (!timing) return;
+
+        const now = Math.floor(Date.now() / 1000) + timing.clockOffset;
+        const submissionTime = timing.open ? Math.max(timing.submissionEnd - now, 0) : 0;
+        const analysisTime = timing.open && submissionTime === 0 ? Math.max(timing.cycleEnd - now, 0) : 0;
+
+        document.getElementById('submissionTime').textContent = this.formatTime(submissionTime);
+        document.getElementById('analysisTime').textContent = this.formatTime(analysisTime);
+
+        // Re-read the cycle when a window closes so the status and buttons follow the new phase
+        const phase = submissionTime > 0 ? 'submission' : analysisTime > 0 ? 'analysis' : 'closed';
+        if (timing.phase && timing.phase !== phase) {
+            this.scheduleCycleRefresh();
+        }
+        timing.phase = phase;
+    }
+
+    scheduleCycleRefresh() {
+        // Coalesce bursts of events, such as a submission rush, into a single refresh
+        clearTimeout(this.cycleRefreshTimer);
+        this.cycleRefreshTimer = setTimeout(() => this.updateCycleInfo(), 1000);
+    }
+
+    scheduleAnalystRefresh() {
+        if (!this.isOwner) return;
+        clearTimeout(this.analystRefreshTimer);
+        this.analystRefreshTimer = setTimeout(() => this.loadAnalystDashboard(), 1000);
+    }
+
+    subscribeToEvents() {
+        const isCurrentTopic = (topicId) => Number(topicId) === this.currentTopicId;
+        const isCurrentUser = (address) => address.toLowerCase() === this.userAddress?.toLowerCase();
+
+        // Any log emitted by a pending transaction means it was mined, even one sent before a reload
+        this.contract.on('*', (event) => {
+            const hash = event.log?.transactionHash;
+            if (this.transactions.some(tx => tx.hash === hash && tx.status === 'pending')) {
+                this.refreshTransaction(hash);
+            }
+        });
+
+        this.contract.on('TopicCreated', () => this.loadTopics());
+
+        this.contract.on('CycleInitiated', (topicId) => {
+            if (isCurrentTopic(topicId)) this.scheduleCycleRefresh();
+        });
+
+        this.contract.on('CycleSkipped', (topicId, cycle, participantCount) => {
+            if (!isCurrentTopic(topicId)) return;
+            this.showNotification(`Cycle ${cycle} ended without analysis and was skipped, its ${participantCount} predictions are kept`, 'warning');
+        });
+
+        this.contract.on('CycleScheduleSet', (topicId) => {
+            if (isCurrentTopic(topicId)) this.scheduleCycleRefresh();
+        });
+
+        this.contract.on('TrendSubmitted', (analyst, topicId) => {
+            if (isCurrentTopic(topicId)) this.scheduleCycleRefresh();
+            this.scheduleAnalystRefresh();
+            if (isCurrentUser(analyst)) {
+                this.updateAnalystProfile();
+                if (isCurrentTopic(topicId)) this.loadMyPredictions();
+            }
+        });
+
+        // Registry membership, verification state and accuracy counts shown on the owner dashboard
+        this.contract.on('AnalystVerified', () => this.scheduleAnalystRefresh());
+        this.contract.on('AnalystRevoked', () => this.scheduleAnalystRefresh());
+        this.contract.on('AccuracyScored', () => this.scheduleAnalystRefresh());
+
+        this.contract.on('AnalysisCompleted', (topicId, cycle) => {
+            if (!isCurrentTopic(topicId)) return;
+            this.scheduleCycleRefresh();
+            this.populateCycleSelect();
+            this.showNotification(`Cycle ${cycle} analysis completed`, 'success');
+        });
+
+        if (this.isCommitReveal()) {
+            this.contract.on('TrendRevealed', (analyst, topicId) => {
+                if (isCurrentTopic(topicId)) this.scheduleCycleRefresh();
+            });
+        }
+    }
+
+    formatDuration(seconds) {
+        if (seconds % 86400 === 0) return `${seconds / 86400}d`;
+        if (seconds % 3600 === 0) return `${seconds / 3600}h`;
+        if (seconds % 60 === 0) return `${seconds / 60}m`;
+        return `${seconds}s`;
+    }
+
+    formatTime(seconds) {
+        if (seconds === 0) return 'Closed';
+
+        const days = Math.floor(seconds / 86400);
+        const hours = Math.floor((seconds % 86400) / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+
+        if (days > 0) {
+            return `${days}d ${hours}h`;
+        } else if (hours > 0) {
+            return `${hours}h ${minutes}m`;
+        } else if (minutes > 0) {
+            return `${minutes}m ${seconds % 60}s`;
+        } else {
+            return `${seconds}s`;
+        }
+    }
+
+    resetCycleInfo() {
+        this.cycleTiming = null;
+        document.getElementById('currentCycle').textContent = '-';
+        document.getElementById('participantCount').textContent = '-';
+        document.getElementById('cycleStatus').textContent = 'Not Connected';
+        document.getElementById('cycleStatus').className = 'status-badge';
+        document.getElementById('submissionTime').textContent = '-';
+        document.getElementById('analysisTime').textContent = '-';
+        document.getElementById('cycleSchedule').textContent = '-';
+        document.getElementById('initiateCycle').disabled = true;
+        document.getElementById('performAnalysis').disabled = true;
+        document.getElementById('revealPrediction').disabled = true;
+    }
+
+    updateFormState(submissionWindowActive) {
+        const submitBtn = document.getElementById('submitPrediction');
+        const form = document.getElementById('predictionForm');
+
+        if (!this.userAddress) {
+            submitBtn.disabled = true;
+            submitBtn.textContent = 'Connect Wallet';
+            return;
+        }
+
+        if (!submissionWindowActive) {
+            submitBtn.disabled = true;
+            submitBtn.textContent = 'Submission Window Closed';
+            return;
+        }
+
+        // Check if form is valid and user hasn't submitted
+        this.validateForm();
+    }
+
+    async validateForm() {
+        const submitBtn = document.getElementById('submitPrediction');
+        const trendValue = document.getElementById('trendValue').value;
+        const dataHash = document.getElementById('dataHash').value;
+
+        if (!this.userAddress) {
+            submitBtn.disabled = true;
+            submitBtn.textContent = 'Connect Wallet';
+            return;
+        }
+
+        // Check if user has already submitted
+        if (this.contract && this.userAddress) {
+            try {
+                const hasSubmitted = await this.contract.hasAnalystSubmitted(this.currentTopicId, this.userAddress);
+                if (hasSubmitted) {
+                    submitBtn.disabled = true;
+                    submitBtn.textContent = 'Already Submitted';
+                    return;
+                }
+            } catch (error) {
+                console.error('Submission check error:', error);
+            }
+        }
+
+        const isValid = trendValue && dataHash && dataHash.match(/^0x[a-fA-F0-9]{64}$/);
+        submitBtn.disabled = !isValid;
+        submitBtn.textContent = isValid ? 'Submit Prediction' : 'Complete Form';
+    }
+
+    generateRandomHash() {
+        const randomBytes = ethers.randomBytes(32);
+        const hash = ethers.hexlify(randomBytes);
+        document.getElementById('dataHash').value = hash;
+        this.validateForm();
+    }
+
+    async getFhevmInstance() {
+        if (this.fhevmInstance) return this.fhevmInstance;
+
+        if (typeof window.relayerSDK === 'undefined') {
+            throw new Error('FHE relayer SDK not loaded');
+        }
+
+        const config = this.getFhevmConfig();
+        if (!config) {
+            throw new Error('FHE encryption is not available on this network');
+        }
+
+        // Load the TFHE WASM modules once, then bind the instance to the connected wallet
+        await window.relayerSDK.initSDK();
+        this.fhevmInstance = await window.relayerSDK.createInstance({
+            ...config,
+            network: window.ethereum
+        });
+
+        return this.fhevmInstance;
+    }
+
+    // FHEVM settings for the connected chain: a deployment may carry its own (e.g. a local or
+    // devnet coprocessor), otherwise the network's SDK preset is used
+    getFhevmConfig() {
+        const config = this.deployments[this.chainId]?.fhevmConfig || this.networks[this.chainId]?.fhevmConfig;
+        if (!config) return null;
+
+        return typeof config === 'string' ? window.relayerSDK[config] : config;
+    }
+
+    async encryptPrediction(trendValue, confidenceLevel) {
+        const fhevm = await this.getFhevmInstance();
+
+        // Inputs are bound to this contract and the submitting wallet by the input proof
+        const input = fhevm.createEncryptedInput(this.contractAddress, this.userAddress);
+        input.add32(BigInt(trendValue));
+        input.add8(parseInt(confidenceLevel));
+
+        const { handles, inputProof } = await input.encrypt();
+        return {
+            encryptedTrend: ethers.hexlify(handles[0]),
+            encryptedConfidence: ethers.hexlify(handles[1]),
+            inputProof: ethers.hexlify(inputProof)
+        };
+    }
+
+    async getDecryptionAuth() {
+        const now = Math.floor(Date.now() / 1000);
+        const auth = this.decryptionAuth;
+        if (auth && auth.userAddress === this.userAddress &&
+            Number(auth.startTimestamp) + Number(auth.durationDays) * 86400 > now + 60) {
+            return auth;
+        }
+
+        const fhevm = await this.getFhevmInstance();
+
+        // Fresh keypair per authorization; the private key never leaves this page
+        const { publicKey, privateKey } = fhevm.generateKeypair();
+        const startTimestamp = now.toString();
+        const durationDays = '1';
+        const contractAddresses = [this.contractAddress];
+
+        const eip712 = fhevm.createEIP712(publicKey, contractAddresses, startTimestamp, durationDays);
+        const signature = await this.signer.signTypedData(
+            eip712.domain,
+            { UserDecryptRequestVerification: eip712.types.UserDecryptRequestVerification },
+            eip712.message
+        );
+
+        this.decryptionAuth = {
+            userAddress: this.userAddress,
+            publicKey,
+            privateKey,
+            signature: signature.replace('0x', ''),
+            contractAddresses,
+            startTimestamp,
+            durationDays
+        };
+        return this.decryptionAuth;
+    }
+
+    async userDecrypt(handles) {
+        const fhevm = await this.getFhevmInstance();
+        const auth = await this.getDecryptionAuth();
+
+        // Uninitialized handles have nothing to decrypt
+        const pending = handles.filter(handle => handle !== ethers.ZeroHash);
+        const results = pending.length === 0 ? {} : await fhevm.userDecrypt(
+            pending.map(handle => ({ handle, contractAddress: this.contractAddress })),
+            auth.privateKey,
+            auth.publicKey,
+            auth.signature,
+            auth.contractAddresses,
+            auth.userAddress,
+            auth.startTimestamp,
+            auth.durationDays
+        );
+
+        return handles.map(handle => handle === ethers.ZeroHash ? null : results[handle]);
+    }
+
+    async submitPrediction(event) {
+        event.preventDefault();
+
+        if (!this.contract || !this.userAddress) {
+            this.showNotification('Please connect your wallet first', 'error');
+            return;
+        }
+
+        const trendValue = document.getElementById('trendValue').value;
+        const confidenceLevel = document.getElementById('confidenceLevel').value;
+        const dataHash = document.getElementById('dataHash').value;
+
+        // Validation
+        if (!trendValue || trendValue < 0 || trendValue > 4294967295) {
+            this.showNotification('Please enter a valid trend value (0-4,294,967,295)', 'error');
+            return;
+        }
+
+        if (!confidenceLevel || confidenceLevel < 0 || confidenceLevel > 100) {
+            this.showNotification('Please enter a valid confidence level (0-100)', 'error');
+            return;
+        }
+
+        if (!dataHash || !dataHash.match(/^0x[a-fA-F0-9]{64}$/)) {
+            this.showNotification('Please enter a valid 32-byte hash', 'error');
+            return;
+        }
+
+        try {
+            this.showLoading('Checking submission status...');
+
+            // Check if user is verified
+            const profile = await this.contract.getAnalystProfile(this.userAddress);
+            if (!profile.isVerified) {
+                this.hideLoading();
+                this.showNotification('You must be a verified analyst to submit predictions', 'error');
+                return;
+            }
+
+            // Check if submission window is active
+            const topicId = this.currentTopicId;
+            const cycleInfo = await this.contract.getCurrentCycleInfo(topicId);
+            if (!cycleInfo.submissionWindowActive) {
+                this.hideLoading();
+                this.showNotification('Submission window is not currently active', 'error');
+                return;
+            }
+
+            // Check if user has already submitted
+            const hasSubmitted = await this.contract.hasAnalystSubmitted(topicId, this.userAddress);
+            if (hasSubmitted) {
+                this.hideLoading();
+                this.showNotification('You have already submitted a prediction for this cycle', 'error');
+                return;
+            }
+
+            let tx;
+            if (this.isCommitReveal()) {
+                tx = await this.sendCommitment(topicId, Number(cycleInfo.cycle), trendValue, confidenceLevel, dataHash);
+            } else {
+                this.showLoading('Encrypting prediction...');
+
+                // Encrypt trend and confidence in the browser so only ciphertexts reach the chain
+                const { encryptedTrend, encryptedConfidence, inputProof } =
+                    await this.encryptPrediction(trendValue, confidenceLevel);
+
+                this.showLoading('Submitting prediction...');
+
+                tx = await this.sendWithPreflight('Submit Prediction', 'submitTrendPrediction', [
+                    topicId,
+                    encryptedTrend,
+                    encryptedConfidence,
+                    inputProof,
+                    dataHash
+                ]);
+            }
+
+            this.addTransaction({
+                type: this.isCommitReveal() ? 'Commit Prediction' : 'Submit Prediction',
+                hash: tx.hash,
+                status: 'pending'
+            });
+
+            this.showLoading('Waiting for confirmation...');
+            const receipt = await this.waitForTransaction(tx);
+
+            if (receipt.status === 1) {
+                await this.updateCycleInfo();
+                await this.updateAnalystProfile();
+                await this.loadMyPredictions();
+
+                // Reset form
+                document.getElementById('predictionForm').reset();
+                document.getElementById('confidenceDisplay').textContent = '50%';
+
+                this.hideLoading();
+                this.showNotification(this.isCommitReveal() ?
+                    'Prediction committed! Reveal it once the analysis window opens' :
+                    'Prediction submitted successfully!', 'success');
+            } else {
+                throw new Error('Transaction failed');
+            }
+
+        } catch (error) {
+            this.hideLoading();
+
+            this.showError('Failed to submit prediction', error);
+            console.error('Prediction submission error:', error);
+        }
+    }
+
+    // Key of the locally kept opening of a commitment; the salt never leaves this browser
+    commitmentKey(topicId, cycle) {
+        return `commitment:${this.contractAddress}:${this.userAddress.toLowerCase()}:${topicId}:${cycle}`;
+    }
+
+    async sendCommitment(topicId, cycle, trendValue, confidenceLevel, dataHash) {
+        this.showLoading('Committing prediction...');
+
+        const salt = ethers.hexlify(ethers.randomBytes(32));
+        // Matches computeCommitment: bound to this account, topic and cycle
+        const commitment = ethers.solidityPackedKeccak256(
+            ['address', 'uint32', 'uint32', 'uint32', 'uint8', 'bytes32'],
+            [this.userAddress, topicId, cycle, BigInt(trendValue), parseInt(confidenceLevel), salt]
+        );
+
+        // Saved before sending, the reveal is impossible without it
+        const key = this.commitmentKey(topicId, cycle);
+        localStorage.setItem(key, JSON.stringify({
+            value: trendValue,
+            confidence: confidenceLevel,
+            salt
+        }));
+
+        try {
+            return await this.sendWithPreflight('Commit Prediction', 'submitTrendCommitment', [topicId, commitment, dataHash]);
+        } catch (error) {
+            localStorage.removeItem(key);
+            throw error;
+        }
+    }
+
+    async revealPrediction() {
+        if (!this.contract || !this.userAddress) {
+            this.showNotification('Please connect your wallet first', 'error');
+            return;
+        }
+
+        const topicId = this.currentTopicId;
+
+        try {
+            const { cycle } = await this.contract.getCurrentCycleInfo(topicId);
+            const key = this.commitmentKey(topicId, Number(cycle));
+            const stored = localStorage.getItem(key);
+            if (!stored) {
+                this.showNotification('No commitment for this cycle was saved in this browser', 'error');
+                return;
+            }
+
+            const { value, confidence, salt } = JSON.parse(stored);
+
+            this.showLoading('Revealing prediction...');
+
+            const tx = await this.sendWithPreflight('Reveal Prediction', 'revealTrendPrediction',
+                [topicId, BigInt(value), parseInt(confidence), salt]);
+
+            this.addTransaction({
+                type: 'Reveal Prediction',
+                hash: tx.hash,
+                status: 'pending'
+            });
+
+            const receipt = await this.waitForTransaction(tx);
+            localStorage.removeItem(key);
+            await this.updateCycleInfo();
+            await this.loadMyPredictions();
+
+            this.hideLoading();
+            this.showNotification(`Prediction for cycle ${cycle} revealed`, 'success');
+
+        } catch (error) {
+            this.hideLoading();
+            this.showError('Failed to reveal prediction', error);
+            console.error('Reveal error:', error);
+        }
+    }
+
+    async updateRevealState(cycle, analysisWindowActive, analysisCompleted) {
+        const reveals = await this.contract.getRevealStatus(this.currentTopicId, cycle);
+        const hasCommitment = Boolean(this.userAddress &&
+            localStorage.getItem(this.commitmentKey(this.currentTopicId, Number(cycle))));
+
+        document.getElementById('participantCount').textContent =
+            `${reveals.committed} (${reveals.revealed} revealed)`;
+        document.getElementById('revealStatus').textContent = hasCommitment ?
+            (analysisWindowActive ? 'Your commitment is ready to be revealed' : 'Reveal your commitment once the analysis window opens') :
+            `${reveals.revealed} of ${reveals.committed} commitments revealed`;
+        document.getElementById('revealPrediction').disabled =
+            !hasCommitment || !analysisWindowActive || analysisCompleted;
+
+        return reveals;
+    }
+
+    async createTopic() {
+        if (!this.contract || !this.roles.admin) {
+            this.showNotification('Only admins can create topics', 'error');
+            return;
+        }
+
+        const name = document.getElementById('topicName').value.trim();
+        const submissionMinutes = Number(document.getElementById('topicSubmissionWindow').value);
+        const durationMinutes = Number(document.getElementById('topicCycleDuration').value);
+
+        if (!name) {
+            this.showNotification('Please enter a topic name', 'error');
+            return;
+        }
+
+        if (!submissionMinutes || !durationMinutes || submissionMinutes <= 0 || submissionMinutes >= durationMinutes) {
+            this.showNotification('Submission window must be shorter than the cycle duration', 'error');
+            return;
+        }
+
+        try {
+            this.showLoading('Creating topic...');
+
+            const tx = await this.sendWithPreflight('Create Topic', 'createTopic', [
+                name,
+                Math.round(submissionMinutes * 60),
+                Math.round(durationMinutes * 60)
+            ]);
+
+            this.addTransaction({
+                type: 'Create Topic',
+                hash: tx.hash,
+                status: 'pending'
+            });
+
+            const receipt = await this.waitForTransaction(tx);
+
+            // Switch to the new topic; its first cycle opens with it
+            const created = receipt.logs
+                .map(log => { try { return this.contract.interface.parseLog(log); } catch { return null; } })
+                .find(event => event && event.name === 'TopicCreated');
+            if (created) {
+                this.currentTopicId = Number(created.args.topicId);
+            }
+            await this.loadTopics();
+            await this.selectTopic(this.currentTopicId);
+
+            document.getElementById('topicName').value = '';
+
+            this.hideLoading();
+            this.showNotification(`Topic "${name}" created!`, 'success');
+
+        } catch (error) {
+            this.hideLoading();
+            this.showError('Failed to create topic', error);
+            console.error('Topic creation error:', error);
+        }
+    }
+
+    async initiateCycle(useOverrides) {
+        if (!this.contract || !this.userAddress) {
+            this.showNotification('Please connect your wallet first', 'error');
+            return;
+        }
+
+        if (useOverrides && !this.roles.cycleOperator) {
+            this.showNotification('Only cycle operators can override the cycle schedule', 'error');
+            return;
+        }
+
+        // Durations are entered in minutes; empty fields fall back to the topic defaults
+        const submissionMinutes = useOverrides ? document.getElementById('cycleSubmissionWindow').value : '';
+        const durationMinutes = useOverrides ? document.getElementById('cycleDuration').value : '';
+        const submissionWindow = submissionMinutes ? Math.round(Number(submissionMinutes) * 60) : 0;
+        const cycleDuration = durationMinutes ? Math.round(Number(durationMinutes) * 60) : 0;
+
+        if (submissionWindow < 0 || cycleDuration < 0 ||
+            (submissionWindow > 0 && cycleDuration > 0 && submissionWindow >= cycleDuration)) {
+            this.showNotification('Submission window must be shorter than the cycle duration', 'error');
+            return;
+        }
+
+        try {
+            this.showLoading('Initiating new cycle...');
+
+            const tx = await this.sendWithPreflight('Initiate Cycle', 'initiatePredictionCycle',
+                [this.currentTopicId, submissionWindow, cycleDuration]);
+
+            this.addTransaction({
+                type: 'Initiate Cycle',
+                hash: tx.hash,
+                status: 'pending'
+            });
+
+            const receipt = await this.waitForTransaction(tx);
+            await this.updateCycleInfo();
+            await this.loadKeeperBounty();
+
+            this.hideLoading();
+            this.showNotification('New prediction cycle initiated!', 'success');
+
+        } catch (error) {
+            this.hideLoading();
+            this.showError('Failed to initiate cycle', error);
+            console.error('Cycle initiation error:', error);
+        }
+    }
+
+    async performAnalysis() {
+        if (!this.contract || !this.userAddress) {
+            this.showNotification('Please connect your wallet first', 'error');
+            return;
+        }
+
+        try {
+            this.showLoading('Performing confidential analysis...');
+
+            const tx = await this.sendWithPreflight('Perform Analysis', 'performConfidentialAnalysis', [this.currentTopicId]);
+
+            this.addTransaction({
+                type: 'Perform Analysis',
+                hash: tx.hash,
+                status: 'pending'
+            });
+
+            const receipt = await this.waitForTransaction(tx);
+            await this.updateCycleInfo();
+            await this.populateCycleSelect();
+            await this.loadKeeperBounty();
+
+            this.hideLoading();
+            this.showNotification('Confidential analysis completed!', 'success');
+
+        } catch (error) {
+            this.hideLoading();
+            this.showError('Failed to perform analysis', error);
+            console.error('Analysis error:', error);
+        }
+    }
+
+    async loadKeeperBounty() {
+        if (!this.contract) return;
+
+        try {
+            const bounty = await this.contract.keeperBounty();
+            const pool = await this.provider.getBalance(this.contractAddress);
+            const info = document.getElementById('keeperBountyInfo');
+
+            if (bounty > 0n && pool >= bounty) {
+                info.textContent = `Anyone can advance the cycle once its time window allows it ` +
+                    `and earn ${ethers.formatEther(bounty)} ETH (pool: ${ethers.formatEther(pool)} ETH)`;
+            } else {
+                info.textContent = 'Anyone can advance the cycle once its time window allows it';
+            }
+
+            if (this.roles.admin) {
+                document.getElementById('keeperBounty').value = ethers.formatEther(bounty);
+            }
+        } catch (error) {
+            console.error('Keeper bounty error:', error);
+        }
+    }
+
+    async setKeeperBounty() {
+        if (!this.contract || !this.roles.admin) {
+            this.showNotification('Only admins can set the keeper bounty', 'error');
+            return;
+        }
+
+        const amount = document.getElementById('keeperBounty').value;
+        if (amount === '' || Number(amount) < 0) {
+            this.showNotification('Please enter a valid bounty amount', 'error');
+            return;
+        }
+
+        try {
+            this.showLoading('Updating keeper bounty...');
+
+            const tx = await this.sendWithPreflight('Set Keeper Bounty', 'setKeeperBounty', [ethers.parseEther(amount)]);
+
+            this.addTransaction({
+                type: 'Set Keeper Bounty',
+                hash: tx.hash,
+                status: 'pending'
+            });
+
+            const receipt = await this.waitForTransaction(tx);
+            await this.loadKeeperBounty();
+
+            this.hideLoading();
+            this.showNotification(`Keeper bounty set to ${amount} ETH`, 'success');
+
+        } catch (error) {
+            this.hideLoading();
+            this.showError('Failed to set keeper bounty', error);
+            console.error('Keeper bounty update error:', error);
+        }
+    }
+
+    async fundKeeperBounty() {
+        if (!this.contract || !this.userAddress) {
+            this.showNotification('Please connect your wallet first', 'error');
+            return;
+        }
+
+        const amount = document.getElementById('keeperFunding').value;
+        if (!amount || Number(amount) <= 0) {
+            this.showNotification('Please enter an amount to fund', 'error');
+            return;
+        }
+
+        try {
+            this.showLoading('Funding keeper bounty pool...');
+
+            const tx = await this.sendWithPreflight('Fund Keeper Bounty', 'fundKeeperBounty', [], { value: ethers.parseEther(amount) });
+
+            this.addTransaction({
+                type: 'Fund Keeper Bounty',
+                hash: tx.hash,
+                status: 'pending'
+            });
+
+            const receipt = await this.waitForTransaction(tx);
+            await this.loadKeeperBounty();
+
+            document.getElementById('keeperFunding').value = '';
+
+            this.hideLoading();
+            this.showNotification(`Added ${amount} ETH to the keeper bounty pool`, 'success');
+
+        } catch (error) {
+            this.hideLoading();
+            this.showError('Failed to fund keeper bounty', error);
+            console.error('Keeper funding error:', error);
+        }
+    }
+
+    async withdrawKeeperBounty() {
+        if (!this.contract || !this.roles.admin) {
+            this.showNotification('Only admins can withdraw from the bounty pool', 'error');
+            return;
+        }
+
+        const amount = document.getElementById('keeperWithdrawal').value;
+        if (!amount || Number(amount) <= 0) {
+            this.showNotification('Please enter an amount to withdraw', 'error');
+            return;
+        }
+
+        try {
+            this.showLoading('Withdrawing from keeper bounty pool...');
+
+            const tx = await this.sendWithPreflight('Withdraw Keeper Bounty', 'withdrawKeeperBounty',
+                [this.userAddress, ethers.parseEther(amount)]);
+
+            this.addTransaction({
+                type: 'Withdraw Keeper Bounty',
+                hash: tx.hash,
+                status: 'pending'
+            });
+
+            const receipt = await this.waitForTransaction(tx);
+            await this.loadKeeperBounty();
+
+            document.getElementById('keeperWithdrawal').value = '';
+
+            this.hideLoading();
+            this.showNotification(`Withdrew ${amount} ETH from the keeper bounty pool`, 'success');
+
+        } catch (error) {
+            this.hideLoading();
+            this.showError('Failed to withdraw keeper bounty', error);
+            console.error('Keeper withdrawal error:', error);
+        }
+    }
+
+    async loadStatisticsThreshold() {
+        if (!this.contract || !this.roles.cycleOperator) return;
+
+        try {
+            const topic = await this.contract.getTopic(this.currentTopicId);
+            document.getElementById('statisticsThreshold').value = topic.statisticsThreshold.toString();
+        } catch (error) {
+            console.error('Statistics threshold error:', error);
+        }
+    }
+
+    async setStatisticsThreshold() {
+        if (!this.contract || !this.roles.cycleOperator) {
+            this.showNotification('Only cycle operators can set the statistics threshold', 'error');
+            return;
+        }
+
+        const threshold = document.getElementById('statisticsThreshold').value;
+        if (threshold === '' || threshold < 0 || threshold > 4294967295) {
+            this.showNotification('Please enter a valid threshold (0-4,294,967,295)', 'error');
+            return;
+        }
+
+        try {
+            this.showLoading('Updating statistics threshold...');
+
+            const tx = await this.sendWithPreflight('Set Threshold', 'setStatisticsThreshold', [this.currentTopicId, parseInt(threshold)]);
+
+            this.addTransaction({
+                type: 'Set Threshold',
+                hash: tx.hash,
+                status: 'pending'
+            });
+
+            const receipt = await this.waitForTransaction(tx);
+
+            this.hideLoading();
+            this.showNotification(`Statistics threshold set to ${threshold}`, 'success');
+
+        } catch (error) {
+            this.hideLoading();
+            this.showError('Failed to set threshold', error);
+            console.error('Threshold update error:', error);
+        }
+    }
+
+    async loadAggregationMode() {
+        if (!this.contract || !this.roles.cycleOperator) return;
+
+        try {
+            const topic = await this.contract.getTopic(this.currentTopicId);
+            const mode = await this.contract.getAggregationMode(this.currentTopicId, topic.currentPredictionCycle);
+            document.getElementById('aggregationMode').value = mode.toString();
+        } catch (error) {
+            console.error('Aggregation mode error:', error);
+        }
+    }
+
+    async setAggregationMode() {
+        if (!this.contract || !this.roles.cycleOperator) {
+            this.showNotification('Only cycle operators can change the aggregation mode', 'error');
+            return;
+        }
+
+        const mode = parseInt(document.getElementById('aggregationMode').value);
+
+        try {
+            this.showLoading('Updating aggregation mode...');
+
+            const tx = await this.sendWithPreflight('Set Aggregation Mode', 'setAggregationMode', [this.currentTopicId, mode]);
+
+            this.addTransaction({
+                type: 'Set Aggregation Mode',
+                hash: tx.hash,
+                status: 'pending'
+            });
+
+            const receipt = await this.waitForTransaction(tx);
+
+            this.hideLoading();
+            this.showNotification(`Current cycle will be ${this.aggregationModes[mode].toLowerCase()}`, 'success');
+
+        } catch (error) {
+            this.hideLoading();
+            this.showError('Failed to set aggregation mode', error);
+            console.error('Aggregation mode update error:', error);
+        }
+    }
+
+    async resolveOutcome() {
+        if (!this.contract || !this.roles.outcomeReporter) {
+            this.showNotification('Only outcome reporters can resolve outcomes', 'error');
+            return;
+        }
+
+        const cycle = document.getElementById('outcomeCycle').value;
+        const actualValue = document.getElementById('outcomeValue').value;
+        const tolerance = document.getElementById('outcomeTolerance').value;
+
+        if (!cycle || cycle < 1) {
+            this.showNotification('Please enter a valid cycle number', 'error');
+            return;
+        }
+
+        if (actualValue === '' || actualValue < 0 || actualValue > 4294967295 ||
+            tolerance === '' || tolerance < 0 || tolerance > 4294967295) {
+            this.showNotification('Please enter a valid outcome and tolerance (0-4,294,967,295)', 'error');
+            return;
+        }
+
+        try {
+            this.showLoading('Resolving cycle outcome...');
+
+            const tx = await this.sendWithPreflight('Resolve Outcome', 'resolveCycleOutcome', [
+                this.currentTopicId,
+                parseInt(cycle),
+                parseInt(actualValue),
+                parseInt(tolerance)
+            ]);
+
+            this.addTransaction({
+                type: 'Resolve Outcome',
+                hash: tx.hash,
+                status: 'pending'
+            });
+
+            await this.waitForTransaction(tx);
+
+            if (!this.isCommitReveal()) {
+                await this.scoreRemainingBatches(parseInt(cycle));
+            }
+
+            this.hideLoading();
+            this.showNotification(`Outcome posted for cycle ${cycle}, accuracy scores will update shortly`, 'success');
+
+        } catch (error) {
+            this.hideLoading();
+            this.showError('Failed to resolve outcome', error);
+            console.error('Outcome resolution error:', error);
+        }
+    }
+
+    // The FHE contract scores a resolved cycle a few predictions per transaction
+    async scoreRemainingBatches(cycle) {
+        let [scored, total] = await this.contract.getScoringProgress(this.currentTopicId, cycle);
+
+        while (scored < total) {
+            this.showLoading(`Scoring predictions (${scored}/${total})...`);
+
+            const tx = await this.sendWithPreflight('Score Outcome', 'scoreOutcomeBatch', [
+                this.currentTopicId,
+                cycle
+            ]);
+
+            this.addTransaction({
+                type: 'Score Outcome',
+                hash: tx.hash,
+                status: 'pending'
+            });
+
+            await this.waitForTransaction(tx);
+            [scored, total] = await this.contract.getScoringProgress(this.currentTopicId, cycle);
+        }
+    }
+
+    async fetchIndexer(path) {
+        const response = await fetch(`${this.indexerUrl}${path}`, { signal: AbortSignal.timeout(5000) });
+        if (!response.ok) {
+            throw new Error(`Indexer returned ${response.status} for ${path}`);
+        }
+        return response.json();
+    }
+
+    async isIndexerAvailable() {
+        if (!this.indexerUrl) return false;
+
+        // Probe once per connection; the index must belong to the contract we're talking to
+        if (this.indexerAvailable === null) {
+            try {
+                const health = await this.fetchIndexer('/health');
+                this.indexerAvailable = health.contractAddress?.toLowerCase() === this.contractAddress.toLowerCase();
+            } catch (error) {
+                this.indexerAvailable = false;
+            }
+        }
+        return this.indexerAvailable;
+    }
+
+    async getCompletedCycles(topicId) {
+        const { currentPredictionCycle: currentCycle } = await this.contract.getTopic(topicId);
+        let completed = [];
+        let firstUnindexed = 1;
+
+        if (await this.isIndexerAvailable()) {
+            try {
+                const { cycles } = await this.fetchIndexer(`/topics/${topicId}/cycles?completed=true`);
+                completed = cycles.map((c) => c.cycle).sort((a, b) => a - b);
+                // The indexer trails the chain head by a few blocks, so a cycle analyzed after
+                // its newest one (such as the one that just finished) is read from the contract
+                if (completed.length > 0) {
+                    firstUnindexed = completed[completed.length - 1] + 1;
+                }
+            } catch (error) {
+                console.warn('Indexer request failed, reading cycles from the contract:', error);
+            }
+        }
+
+        for (let i = firstUnindexed; i < Number(currentCycle); i++) {
+            try {
+                const history = await this.contract.getCycleHistory(topicId, i);
+                if (history[0]) { // analysisCompleted
+                    completed.push(i);
+                }
+            } catch (error) {
+                // Skip cycles that don't exist or have errors
+                continue;
+            }
+        }
+        return completed;
+    }
+
+    async populateCycleSelect() {
+        if (!this.contract) return;
+
+        try {
+            const cycles = await this.getCompletedCycles(this.currentTopicId);
+            const select = document.getElementById('cycleSelect');
+
+            // Clear existing options except first
+            select.innerHTML = '<option value="">Select a cycle...</option>';
+
+            for (const cycle of cycles) {
+                const option = document.createElement('option');
+                option.value = cycle;
+                option.textContent = `Cycle ${cycle}`;
+                select.appendChild(option);
+            }
+        } catch (error) {
+            console.error('Cycle select population error:', error);
+        }
+    }
+
+    async loadCycleSubmissions(topicId, cycleNumber) {
+        const element = document.getElementById('resultSubmissions');
+
+        if (!(await this.isIndexerAvailable())) {
+            element.textContent = 'Requires the event indexer';
+            return;
+        }
+
+        try {
+            const { submissions } = await this.fetchIndexer(`/topics/${topicId}/cycles/${cycleNumber}/submissions`);
+            const shown = submissions.slice(0, 5).map((s) => `${s.analyst.slice(0, 6)}...${s.analyst.slice(-4)}`);
+            const more = submissions.length > shown.length ? ` +${submissions.length - shown.length} more` : '';
+            element.textContent = shown.length > 0 ? `${shown.join(', ')}${more}` : 'None indexed';
+        } catch (error) {
+            element.textContent = 'Not indexed yet';
+            console.warn('Submission lookup error:', error);
+        }
+    }
+
+    async verifyCurrentUser() {
+        if (!this.contract || !this.roles.analystVerifier || !this.userAddress) {
+            this.showNotification('Only analyst verifiers can verify analysts', 'error');
+            return;
+        }
+
+        try {
+            this.showLoading('Verifying current user as analyst...');
+
+            const tx = await this.sendWithPreflight('Verify Analyst', 'verifyAnalyst', [this.userAddress]);
+
+            this.addTransaction({
+                type: 'Verify Analyst',
+                hash: tx.hash,
+                status: 'pending'
+            });
+
+            const receipt = await this.waitForTransaction(tx);
+            await this.updateAnalystProfile();
+
+            this.hideLoading();
+            this.showNotification('User verified as analyst!', 'success');
+
+        } catch (error) {
+            this.hideLoading();
+            this.showError('Failed to verify analyst', error);
+            console.error('Verification error:', error);
+        }
+    }
+
+    async requestResults() {
+        if (!this.contract || !this.userAddress) {
+            this.showNotification('Please connect your wallet first', 'error');
+            return;
+        }
+
+        const cycleNumber = document.getElementById('cycleSelect').value;
+        if (!cycleNumber) {
+            this.showNotification('Please select a cycle', 'error');
+            return;
+        }
+
+        const topicId = this.currentTopicId;
+
+        try {
+            // Commit-reveal results are public; FHE results are decrypted for this wallet
+            const { aggregatedTrend, averageConfidence, minTrend, maxTrend, aboveCount, belowCount, threshold } =
+                this.isCommitReveal() ?
+                    await this.loadRevealedResults(topicId, cycleNumber) :
+                    await this.decryptResults(topicId, cycleNumber);
+
+            const history = await this.contract.getCycleHistory(topicId, cycleNumber);
+            const [analysisCompleted, cycleEnded, startTime, endTime, participantCount, resultHash] = history;
+            const formatValue = (value) => value !== null ? value.toString() : 'N/A';
+            const outcome = await this.contract.getCycleOutcome(topicId, cycleNumber);
+            const mode = await this.contract.getAggregationMode(topicId, cycleNumber);
+
+            // Update results display
+            document.getElementById('resultCycle').textContent = cycleNumber;
+            document.getElementById('analysisStatus').textContent = analysisCompleted ? 'Completed' : 'Pending';
+            document.getElementById('resultParticipants').textContent = participantCount.toString();
+            document.getElementById('resultTrend').textContent = formatValue(aggregatedTrend);
+            document.getElementById('resultMode').textContent = this.aggregationModes[Number(mode)] || 'Unknown';
+            document.getElementById('resultConfidence').textContent =
+                averageConfidence !== null ? `${averageConfidence.toString()}%` : 'N/A';
+            document.getElementById('resultRange').textContent =
+                `${formatValue(minTrend)} – ${formatValue(maxTrend)}`;
+            document.getElementById('resultThreshold').textContent =
+                `${formatValue(aboveCount)} above / ${formatValue(belowCount)} below ${threshold.toString()}`;
+            document.getElementById('resultOutcome').textContent = outcome.resolved ?
+                `${outcome.actualValue.toString()} ± ${outcome.tolerance.toString()}` : 'Not yet resolved';
+            document.getElementById('resultHash').textContent = resultHash || 'N/A';
+            await this.loadCycleSubmissions(topicId, cycleNumber);
+
+            document.getElementById('resultsContent').classList.remove('hidden');
+
+            this.hideLoading();
+            this.showNotification(this.isCommitReveal() ? 'Results loaded' : 'Results decrypted successfully!', 'success');
+
+        } catch (error) {
+            this.hideLoading();
+            this.showError('Failed to request results', error);
+            console.error('Results request error:', error);
+        }
+    }
+
+    async decryptResults(topicId, cycleNumber) {
+        this.showLoading('Requesting confidential results...');
+
+        // First, request access to the results
+        const tx = await this.sendWithPreflight('Request Results', 'requestConfidentialResult', [topicId, cycleNumber]);
+
+        this.addTransaction({
+            type: 'Request Results',
+            hash: tx.hash,
+            status: 'pending'
+        });
+
+        const receipt = await this.waitForTransaction(tx);
+
+        // Decrypt the aggregated results with the access granted above
+        this.showLoading('Decrypting results (sign the request in your wallet)...');
+        const result = await this.contract.getEncryptedResult(topicId, cycleNumber);
+        const stats = await this.contract.getEncryptedStatistics(topicId, cycleNumber);
+        const [weightedTrendSum, totalWeight, averageConfidence, minTrend, maxTrend, aboveCount, belowCount] =
+            await this.userDecrypt([
+                result.weightedTrendSum,
+                result.totalWeight,
+                result.averageConfidence,
+                stats.minTrend,
+                stats.maxTrend,
+                stats.aboveThresholdCount,
+                stats.belowThresholdCount
+            ]);
+
+        // The contract cannot divide by an encrypted weight total, so the weighted mean is taken here
+        const aggregatedTrend = weightedTrendSum !== null && totalWeight ?
+            BigInt(weightedTrendSum) / BigInt(totalWeight) : null;
+
+        return {
+            aggregatedTrend, averageConfidence, minTrend, maxTrend, aboveCount, belowCount,
+            threshold: stats.threshold
+        };
+    }
+
+    async loadRevealedResults(topicId, cycleNumber) {
+        this.showLoading('Loading results...');
+
+        const result = await this.contract.getCycleResult(topicId, cycleNumber);
+        return {
+            aggregatedTrend: result.aggregatedTrend,
+            averageConfidence: result.averageConfidence,
+            minTrend: result.minTrend,
+            maxTrend: result.maxTrend,
+            aboveCount: result.aboveThresholdCount,
+            belowCount: result.belowThresholdCount,
+            threshold: result.threshold
+        };
+    }
+
+    addTransaction(transaction) {
+        const newTransaction = {
+            ...transaction,
+            chainId: this.chainId,
+            timestamp: Date.now()
+        };
+        this.transactions.unshift(newTransaction);
+        this.saveTransactions();
+        this.renderTransactionHistory();
+    }
+
+    // Every write goes through here: simulate it with staticCall, show the outcome and cost,
+    // and only open the wallet prompt once the user has confirmed
+    async sendWithPreflight(description, method, args = [], overrides = {}) {
+        const contractMethod = this.contract[method];
+        const loadingMessage = document.getElementById('loadingMessage').textContent;
+        this.showLoading('Simulating transaction...');
+
+        let preflight;
+        try {
+            const result = await contractMethod.staticCall(...args, overrides);
+            const gas = await contractMethod.estimateGas(...args, overrides);
+            const feeData = await this.provider.getFeeData();
+            const gasPrice = feeData.gasPrice ?? feeData.maxFeePerGas ?? 0n;
+            preflight = { result, gas, fee: gas * gasPrice };
+        } catch (error) {
+            console.error(`${description} simulation reverted:`, error);
+            preflight = { error: this.decodeError(error) };
+        }
+
+        this.hideLoading();
+        const confirmed = await this.confirmTransaction(description, preflight);
+        if (!confirmed) {
+            throw Object.assign(new Error('Transaction cancelled'), { code: 'TRANSACTION_CANCELLED' });
+        }
+
+        // Leave headroom over the estimate, FHE operations in particular vary between calls
+        this.showLoading(loadingMessage);
+        return contractMethod(...args, { gasLimit: preflight.gas * 120n / 100n, ...overrides });
+    }
+
+    confirmTransaction(description, { result, gas, fee, error }) {
+        const symbol = this.networks[this.chainId]?.nativeCurrency.symbol || 'ETH';
+        const returnsValue = result !== undefined && !(Array.isArray(result) && result.length === 0);
+
+        const rows = error ? [
+            ['Outcome', 'Will revert'],
+            ['Reason', error.message],
+            ...(error.hint ? [['Next step', error.hint]] : [])
+        ] : [
+            ['Outcome', returnsValue ? `Succeeds, returns ${result}` : 'Succeeds'],
+            ['Estimated gas', gas.toLocaleString()],
+            ['Estimated fee', `${ethers.formatEther(fee)} ${symbol}`]
+        ];
+
+        document.getElementById('confirmTitle').textContent = description;
+        document.getElementById('confirmDetails').innerHTML = rows.map(([label, value]) => `
+            <div class="confirm-row">
+                <span class="confirm-label">${label}</span>
+                <span class="confirm-value">${this.escapeHtml(String(value))}</span>
+            </div>
+        `).join('');
+        document.getElementById('confirmDetails').classList.toggle('reverted', Boolean(error));
+        document.getElementById('confirmSend').classList.toggle('hidden', Boolean(error));
+        document.getElementById('confirmCancel').textContent = error ? 'Close' : 'Cancel';
+        document.getElementById('confirmDialog').classList.remove('hidden');
+
+        return new Promise(resolve => {
+            this.resolveConfirmation = resolve;
+        });
+    }
+
+    closeConfirmation(confirmed) {
+        document.getElementById('confirmDialog').classList.add('hidden');
+
+        const resolve = this.resolveConfirmation;
+        this.resolveConfirmation = null;
+        if (resolve) resolve(confirmed);
+    }
+
+    // Wait for a sent transaction and record how it ended; throws like tx.wait() unless it succeeded
+    async waitForTransaction(tx) {
+        try {
+            const receipt = await tx.wait();
+            await this.recordReceipt(tx.hash, receipt);
+            return receipt;
+        } catch (error) {
+            if (error.code === 'TRANSACTION_REPLACED') {
+                if (error.reason === 'repriced') {
+                    // A speed-up resends the same call under a new hash, so its receipt is ours
+                    await this.recordReceipt(tx.hash, error.receipt, { replacedBy: error.replacement.hash });
+                    if (error.receipt.status === 1) return error.receipt;
+                } else {
+                    this.updateTransaction(tx.hash, 'replaced', {
+                        replacedBy: error.replacement.hash,
+                        reason: error.reason === 'cancelled' ? 'Cancelled in the wallet' : 'Replaced by another transaction'
+                    });
+                }
+            } else if (error.receipt) {
+                await this.recordReceipt(tx.hash, error.receipt);
+            } else {
+                this.updateTransaction(tx.hash, 'failed', { reason: this.decodeError(error).message });
+            }
+            throw error;
+        }
+    }
+
+    async recordReceipt(hash, receipt, details = {}) {
+        const receiptDetails = {
+            ...details,
+            blockNumber: receipt.blockNumber,
+            gasUsed: receipt.gasUsed.toString(),
+            fee: ethers.formatEther(receipt.fee)
+        };
+
+        if (receipt.status === 1) {
+            this.updateTransaction(hash, 'success', receiptDetails);
+        } else {
+            this.updateTransaction(hash, 'reverted', { ...receiptDetails, reason: await this.getRevertReason(receipt) });
+        }
+    }
+
+    async getRevertReason(receipt) {
+        try {
+            const tx = await this.provider.getTransaction(receipt.hash);
+            if (receipt.gasUsed === tx.gasLimit) return 'Out of gas';
+
+            // Receipts carry no reason, so replay the call on the state it ran against
+            await this.provider.call({
+                to: tx.to,
+                from: tx.from,
+                data: tx.data,
+                value: tx.value,
+                blockTag: receipt.blockNumber - 1
+            });
+            return 'Reverted';
+        } catch (error) {
+            return this.decodeError(error).message;
+        }
+    }
+
+    async refreshTransaction(hash) {
+        try {
+            const receipt = await this.provider.getTransactionReceipt(hash);
+            if (receipt) {
+                await this.recordReceipt(hash, receipt);
+                return;
+            }
+
+            const tx = await this.provider.getTransaction(hash);
+            if (tx) {
+                // Still waiting to be mined, keep following it
+                this.waitForTransaction(tx).catch(() => {});
+            } else {
+                this.updateTransaction(hash, 'failed', { reason: 'Dropped by the network or replaced' });
+            }
+        } catch (error) {
+            console.error('Transaction refresh error:', error);
+        }
+    }
+
+    async recoverPendingTransactions() {
+        // Entries left pending by a reload or a closed tab
+        const pending = this.transactions.filter(tx =>
+            tx.status === 'pending' && (tx.chainId ?? this.chainId) === this.chainId);
+        await Promise.all(pending.map(tx => this.refreshTransaction(tx.hash)));
+    }
+
+    updateTransaction(hash, status, details = {}) {
+        const transaction = this.transactions.find(tx => tx.hash === hash);
+        if (transaction) {
+            Object.assign(transaction, details, { status });
+            this.saveTransactions();
+            this.renderTransactionHistory();
+            return;
+        }
+
+        // The wallet switched accounts while the transaction was pending
+        for (const key of Object.keys(localStorage).filter(key => key.startsWith('transactions:'))) {
+            const transactions = JSON.parse(localStorage.getItem(key));
+            const stored = transactions.find(tx => tx.hash === hash);
+            if (stored) {
+                Object.assign(stored, details, { status });
+                localStorage.setItem(key, JSON.stringify(transactions));
+                return;
+            }
+        }
+    }
+
+    transactionsKey() {
+        return this.userAddress ? `transactions:${this.userAddress.toLowerCase()}` : null;
+    }
+
+    loadTransactions() {
+        const key = this.transactionsKey();
+
+        // History saved before it was kept per account goes to the first account that connects
+        const legacy = localStorage.getItem('transactions');
+        if (key && legacy !== null) {
+            if (localStorage.getItem(key) === null) {
+                localStorage.setItem(key, legacy);
+            }
+            localStorage.removeItem('transactions');
+        }
+
+        this.transactions = key ? JSON.parse(localStorage.getItem(key) || '[]') : [];
+        this.renderTransactionHistory();
+    }
+
+    saveTransactions() {
+        const key = this.transactionsKey();
+        if (!key) return;
+
+        // Keep only last 20 transactions
+        this.transactions = this.transactions.slice(0, 20);
+        localStorage.setItem(key, JSON.stringify(this.transactions));
+    }
+
+    renderTransactionHistory() {
+        const container = document.getElementById('transactionList');
+
+        if (this.transactions.length === 0) {
+            container.innerHTML = '<div class="empty-state">No transactions yet</div>';
+            return;
+        }
+
+        container.innerHTML = this.transactions.map(tx => {
+            const network = this.networks[tx.chainId];
+            const explorer = network?.blockExplorerUrls?.[0];
+            const shortHash = `${tx.hash.slice(0, 10)}...${tx.hash.slice(-8)}`;
+            const symbol = network?.nativeCurrency.symbol || 'ETH';
+
+            return `
+            <div class="transaction-item">
+                <div class="transaction-info">
+                    <div class="transaction-type">${tx.type}</div>
+                    <div class="transaction-hash">
+                        ${explorer ? `<a href="${explorer}/tx/${tx.hash}" target="_blank" rel="noopener">${shortHash}</a>` : shortHash}
+                    </div>
+                    ${tx.blockNumber !== undefined ? `
+                        <div class="transaction-details">
+                            Block ${tx.blockNumber} · ${Number(tx.gasUsed).toLocaleString()} gas · ${tx.fee} ${symbol}
+                        </div>` : ''}
+                    ${tx.replacedBy ? `
+                        <div class="transaction-details">
+                            ${tx.status === 'replaced' ? 'Replaced by' : 'Sped up as'} ${tx.replacedBy.slice(0, 10)}...${tx.replacedBy.slice(-8)}
+                        </div>` : ''}
+                    ${tx.reason ? `<div class="transaction-reason">${this.escapeHtml(tx.reason)}</div>` : ''}
+                </div>
+                <div class="transaction-status ${tx.status}">${tx.status}</div>
+            </div>
+        `;
+        }).join('');
+    }
+
+    clearTransactionHistory() {
+        this.transactions = [];
+        this.saveTransactions();
+        this.renderTransactionHistory();
+        this.showNotification('Transaction history cleared', 'warning');
+    }
+
+    resetUI() {
+        document.getElementById('networkName').textContent = 'Not Connected';
+        document.getElementById('contractAddress').textContent = '-';
+        this.updateNetworkBanner();
+        this.resetCycleInfo();
+        this.resetAnalystProfile();
+        this.loadMyPredictions();
+        document.getElementById('resultsContent').classList.add('hidden');
+        document.getElementById('cycleSelect').innerHTML = '<option value="">Select a cycle...</option>';
+    }
+
+    showLoading(message = 'Loading...') {
+        document.getElementById('loadingMessage').textContent = message;
+        document.getElementById('loadingOverlay').classList.remove('hidden');
+    }
+
+    hideLoading() {
+        document.getElementById('loadingOverlay').classList.add('hidden');
+    }
+
+    decodeError(error) {
+        return this.errorDecoder.decode(error, this.contract?.interface);
+    }
+
+    showError(action, error) {
+        if (error?.code === 'TRANSACTION_CANCELLED') {
+            this.showNotification(`${action}: cancelled before sending`, 'warning');
+            return;
+        }
+
+        const { message, hint } = this.decodeError(error);
+        this.showNotification(hint ? `${action}: ${message}. ${hint}` : `${action}: ${message}`, 'error');
+    }
+
+    showNotification(message, type = 'info') {
+        const notification = document.getElementById('notification');
+        const messageElement = document.getElementById('notificationMessage');
+
+        messageElement.textContent = message;
+        notification.className = `notification ${type}`;
+        notification.classList.remove('hidden');
+
+        // Auto hide after 5 seconds
+        setTimeout(() => {
+            this.hideNotification();
+        }, 5000);
+    }
+
+    hideNotification() {
+        document.getElementById('notification').classList.add('hidden');
+    }
+
+    async debugContractCall(functionName, ...args) {
+        console.log(`🔍 Debug: Calling ${functionName} with args:`, args);
+        try {
+            if (!this.contract) {
+                throw new Error('Contract not initialized');
+            }
+
+            const result = await this.contract[functionName](...args);
+            console.log(`✅ Debug: ${functionName} result:`, result);
+            return result;
+        } catch (error) {
+            console.error(`❌ Debug: ${functionName} failed:`, error);
+            throw error;
+        }
+    }
+}
+
+// Initialize the application when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new PrivacyTrendPredictor();
+});
\ No newline at end of file
@@ -1,342 +1,575 @@
-// SPDX-License-Identifier: MIT
-pragma solidity ^0.8.24;
-
-import { FHE, euint8, euint32, ebool } from "@fhevm/solidity/lib/FHE.sol";
-import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
-
-contract PrivacyTrendPredictor is SepoliaConfig {
-
-    address public owner;
-    uint32 public currentPredictionCycle;
-    uint256 public cycleStartTime;
-
-    // Analysis time windows (24 hours = 86400 seconds)
-    uint256 constant CYCLE_DURATION = 86400;
-    uint256 constant SUBMISSION_WINDOW = 21600; // 6 hours for submissions
-
-    struct TrendData {
-        euint32 encryptedValue;
-        euint8 confidenceLevel;
-        bool isSubmitted;
-        uint256 timestamp;
-        bytes32 dataHash;
-    }
-
-    struct PredictionCycle {
-        euint32 aggregatedTrend;
-        euint8 averageConfidence;
-        bool analysisCompleted;
-        bool cycleEnded;
-        uint256 startTime;
-        uint256 endTime;
-        address[] analysts;
-        uint32 participantCount;
-        bytes32 resultHash;
-    }
-
-    struct AnalystProfile {
-        uint32 totalPredictions;
-        uint32 accurateCount;
-        euint8 reputationScore;
-        bool isVerified;
-        uint256 lastSubmission;
-    }
-
-    mapping(uint32 => PredictionCycle) public predictionCycles;
-    mapping(uint32 => mapping(address => TrendData)) public analystPredictions;
-    mapping(address => AnalystProfile) public analystProfiles;
-    mapping(bytes32 => bool) public usedDataHashes;
-
-    event CycleInitiated(uint32 indexed cycle, uint256 startTime);
-    event TrendSubmitted(address indexed analyst, uint32 indexed cycle, bytes32 dataHash);
-    event AnalysisCompleted(uint32 indexed cycle, bytes32 resultHash, uint32 participantCount);
-    event ReputationUpdated(address indexed analyst, uint8 newScore);
-    event ConfidentialResultRequested(uint32 indexed cycle, address indexed requester);
-
-    modifier onlyOwner() {
-        require(msg.sender == owner, "Not authorized");
-        _;
-    }
-
-    modifier onlyDuringSubmissionWindow() {
-        require(isSubmissionWindowActive(), "Submission window closed");
-        _;
-    }
-
-    modifier onlyDuringAnalysisWindow() {
-        require(isAnalysisWindowActive(), "Analysis window not active");
-        _;
-    }
-
-    modifier onlyVerifiedAnalyst() {
-        require(analystProfiles[msg.sender].isVerified, "Analyst not verified");
-        _;
-    }
-
-    constructor() {
-        owner = msg.sender;
-        currentPredictionCycle = 1;
-        cycleStartTime = block.timestamp;
-    }
-
-    // Check if submission window is active (first 6 hours of cycle)
-    function isSubmissionWindowActive() public view returns (bool) {
-        if (predictionCycles[currentPredictionCycle].cycleEnded) return false;
-        return block.timestamp < cycleStartTime + SUBMISSION_WINDOW;
-    }
-
-    // Check if analysis window is active (after submission window)
-    function isAnalysisWindowActive() public view returns (bool) {
-        if (predictionCycles[currentPredictionCycle].cycleEnded) return false;
-        return block.timestamp >= cycleStartTime + SUBMISSION_WINDOW &&
-               block.timestamp < cycleStartTime + CYCLE_DURATION;
-    }
-
-    // Initialize new prediction cycle
-    function initiatePredictionCycle() external onlyOwner {
-        require(block.timestamp >= cycleStartTime + CYCLE_DURATION ||
-                currentPredictionCycle == 1, "Previous cycle not completed");
-
-        if (currentPredictionCycle > 1) {
-            predictionCycles[currentPredictionCycle - 1].cycleEnded = true;
-        }
-
-        predictionCycles[currentPredictionCycle] = PredictionCycle({
-            aggregatedTrend: FHE.asEuint32(0),
-            averageConfidence: FHE.asEuint8(0),
-            analysisCompleted: false,
-            cycleEnded: false,
-            startTime: block.timestamp,
-            endTime: 0,
-            analysts: new address[](0),
-            participantCount: 0,
-            resultHash: bytes32(0)
-        });
-
-        cycleStartTime = block.timestamp;
-
-        emit CycleInitiated(currentPredictionCycle, block.timestamp);
-    }
-
-    // Submit confidential trend prediction
-    function submitTrendPrediction(
-        uint32 _trendValue,
-        uint8 _confidenceLevel,
-        bytes32 _dataHash
-    ) external onlyDuringSubmissionWindow onlyVerifiedAnalyst {
-        require(_confidenceLevel <= 100, "Confidence level must be 0-100");
-        require(_dataHash != bytes32(0), "Invalid data hash");
-        require(!usedDataHashes[_dataHash], "Data hash already used");
-        require(!analystPredictions[currentPredictionCycle][msg.sender].isSubmitted,
-                "Already submitted for this cycle");
-
-        // Encrypt the prediction data
-        euint32 encryptedTrend = FHE.asEuint32(_trendValue);
-        euint8 encryptedConfidence = FHE.asEuint8(_confidenceLevel);
-
-        analystPredictions[currentPredictionCycle][msg.sender] = TrendData({
-            encryptedValue: encryptedTrend,
-            confidenceLevel: encryptedConfidence,
-            isSubmitted: true,
-            timestamp: block.timestamp,
-            dataHash: _dataHash
-        });
-
-        predictionCycles[currentPredictionCycle].analysts.push(msg.sender);
-        predictionCycles[currentPredictionCycle].participantCount++;
-        usedDataHashes[_dataHash] = true;
-
-        // Update analyst profile
-        analystProfiles[msg.sender].totalPredictions++;
-        analystProfiles[msg.sender].lastSubmission = block.timestamp;
-
-        // Grant FHE permissions
-        FHE.allowThis(encryptedTrend);
-        FHE.allowThis(encryptedConfidence);
-        FHE.allow(encryptedTrend, msg.sender);
-        FHE.allow(encryptedConfidence, msg.sender);
-
-        emit TrendSubmitted(msg.sender, currentPredictionCycle, _dataHash);
-    }
-
-    // Perform confidential trend analysis
-    function performConfidentialAnalysis() external onlyDuringAnalysisWindow onlyOwner {
-        require(!predictionCycles[currentPredictionCycle].analysisCompleted,
-                "Analysis already completed");
-        require(predictionCycles[currentPredictionCycle].participantCount > 0,
-                "No predictions to analyze");
-
-        PredictionCycle storage cycle = predictionCycles[currentPredictionCycle];
-
-        // Initialize aggregated values
-        euint32 totalTrend = FHE.asEuint32(0);
-        euint32 totalConfidence = FHE.asEuint32(0);
-
-        // Aggregate all predictions using FHE operations
-        for (uint i = 0; i < cycle.analysts.length; i++) {
-            address analyst = cycle.analysts[i];
-            TrendData storage prediction = analystPredictions[currentPredictionCycle][analyst];
-
-            // Add encrypted values
-            totalTrend = FHE.add(totalTrend, prediction.encryptedValue);
-            totalConfidence = FHE.add(totalConfidence,
-                FHE.asEuint32(prediction.confidenceLevel));
-        }
-
-        // Store aggregated encrypted results
-        cycle.aggregatedTrend = totalTrend;
-
-        // For confidence average, we need to use async decryption for division
-        // Request decryption of total confidence for average calculation
-        bytes32[] memory cts = new bytes32[](1);
-        cts[0] = FHE.toBytes32(totalConfidence);
-        FHE.requestDecryption(cts, this.processConfidenceAverage.selector);
-
-        // Mark as analysis completed (average will be set in callback)
-        cycle.analysisCompleted = true;
-        cycle.endTime = block.timestamp;
-        cycle.resultHash = keccak256(abi.encodePacked(
-            currentPredictionCycle,
-            block.timestamp,
-            cycle.participantCount
-        ));
-
-        // Grant permissions for result access
-        FHE.allowThis(cycle.aggregatedTrend);
-
-        emit AnalysisCompleted(currentPredictionCycle, cycle.resultHash, cycle.participantCount);
-
-        // Move to next cycle
-        currentPredictionCycle++;
-    }
-
-    // Callback to process confidence average calculation
-    function processConfidenceAverage(
-        uint256 requestId,
-        uint32 totalConfidenceDecrypted,
-        bytes[] memory signatures
-    ) external {
-        // Get the previous cycle (since currentPredictionCycle was incremented)
-        uint32 targetCycle = currentPredictionCycle - 1;
-        PredictionCycle storage cycle = predictionCycles[targetCycle];
-
-        // Note: Signature verification is handled by the FHE system automatically
-        // during the decryption process, so manual verification is not required
-
-        // Calculate average confidence and re-encrypt
-        uint8 avgConfidence = uint8(totalConfidenceDecrypted / cycle.participantCount);
-        cycle.averageConfidence = FHE.asEuint8(avgConfidence);
-
-        // Grant permissions
-        FHE.allowThis(cycle.averageConfidence);
-    }
-
-    // Request confidential analysis result (with proper authorization)
-    function requestConfidentialResult(uint32 _cycle) external {
-        require(predictionCycles[_cycle].analysisCompleted, "Analysis not completed");
-        require(analystProfiles[msg.sender].isVerified, "Not authorized");
-
-        PredictionCycle storage cycle = predictionCycles[_cycle];
-
-        // Grant temporary access to encrypted results
-        FHE.allow(cycle.aggregatedTrend, msg.sender);
-        FHE.allow(cycle.averageConfidence, msg.sender);
-
-        emit ConfidentialResultRequested(_cycle, msg.sender);
-    }
-
-    // Verify analyst (only owner can verify)
-    function verifyAnalyst(address _analyst) external onlyOwner {
-        analystProfiles[_analyst].isVerified = true;
-        analystProfiles[_analyst].reputationScore = FHE.asEuint8(50); // Starting score
-
-        FHE.allowThis(analystProfiles[_analyst].reputationScore);
-    }
-
-    // Update analyst reputation based on prediction accuracy
-    function updateAnalystReputation(address _analyst, uint8 _newScore) external onlyOwner {
-        require(_newScore <= 100, "Score must be 0-100");
-        require(analystProfiles[_analyst].isVerified, "Analyst not verified");
-
-        analystProfiles[_analyst].reputationScore = FHE.asEuint8(_newScore);
-        FHE.allowThis(analystProfiles[_analyst].reputationScore);
-
-        emit ReputationUpdated(_analyst, _newScore);
-    }
-
-    // Get current cycle information
-    function getCurrentCycleInfo() external view returns (
-        uint32 cycle,
-        uint256 startTime,
-        uint32 participantCount,
-        bool analysisCompleted,
-        bool submissionWindowActive,
-        bool analysisWindowActive
-    ) {
-        PredictionCycle storage currentCycle = predictionCycles[currentPredictionCycle];
-        return (
-            currentPredictionCycle,
-            cycleStartTime,
-            currentCycle.participantCount,
-            currentCycle.analysisCompleted,
-            isSubmissionWindowActive(),
-            isAnalysisWindowActive()
-        );
-    }
-
-    // Get analyst profile information
-    function getAnalystProfile(address _analyst) external view returns (
-        uint32 totalPredictions,
-        uint32 accurateCount,
-        bool isVerified,
-        uint256 lastSubmission
-    ) {
-        AnalystProfile storage profile = analystProfiles[_analyst];
-        return (
-            profile.totalPredictions,
-            profile.accurateCount,
-            profile.isVerified,
-            profile.lastSubmission
-        );
-    }
-
-    // Get cycle history
-    function getCycleHistory(uint32 _cycle) external view returns (
-        bool analysisCompleted,
-        bool cycleEnded,
-        uint256 startTime,
-        uint256 endTime,
-        uint32 participantCount,
-        bytes32 resultHash
-    ) {
-        PredictionCycle storage cycle = predictionCycles[_cycle];
-        return (
-            cycle.analysisCompleted,
-            cycle.cycleEnded,
-            cycle.startTime,
-            cycle.endTime,
-            cycle.participantCount,
-            cycle.resultHash
-        );
-    }
-
-    // Check if analyst has submitted for current cycle
-    function hasAnalystSubmitted(address _analyst) external view returns (bool) {
-        return analystPredictions[currentPredictionCycle][_analyst].isSubmitted;
-    }
-
-    // Get time remaining in current window
-    function getTimeRemaining() external view returns (uint256 submissionTime, uint256 analysisTime) {
-        if (isSubmissionWindowActive()) {
-            submissionTime = (cycleStartTime + SUBMISSION_WINDOW) - block.timestamp;
-            analysisTime = 0;
-        } else if (isAnalysisWindowActive()) {
-            submissionTime = 0;
-            analysisTime = (cycleStartTime + CYCLE_DURATION) - block.timestamp;
-        } else {
-            submissionTime = 0;
-            analysisTime = 0;
-        }
-        return (submissionTime, analysisTime);
-    }
-}
\ No newline at end of file
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint8, euint32, euint64, ebool, externalEuint8, externalEuint32 } from "@fhevm/solidity/lib/FHE.sol";
+import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+import { TrendPredictorBase } from "./TrendPredictorBase.sol";
+
+// Predictions are encrypted client-side and aggregated under FHE; needs a chain with
+// the FHE coprocessor (see PrivacyTrendPredictorCommitReveal for other networks)
+contract PrivacyTrendPredictor is SepoliaConfig, TrendPredictorBase {
+
+    struct TrendData {
+        euint32 encryptedValue;
+        euint8 confidenceLevel;
+        bool isSubmitted;
+        uint256 timestamp;
+        bytes32 dataHash;
+    }
+
+    // The weighted mean needs an encrypted divisor, which FHE cannot divide by, so it is kept
+    // as an encrypted numerator and weight total that readers divide after user decryption.
+    // Neither is ever decrypted publicly. Reputation-weighted cycles hand out a public divisor
+    // instead (see _aggregateTrend), since a reputation total would give away reputations
+    struct PredictionCycle {
+        euint64 weightedTrendSum;      // Sum of value * weight (64-bit to avoid overflow)
+        euint32 totalWeight;           // Sum of weights; participant count when every weight is 0;
+                                       // 100 * participants^2 when weighted by reputation
+        euint8 averageConfidence;
+        euint32 minTrend;
+        euint32 maxTrend;
+        euint32 aboveThresholdCount;   // Submissions strictly above statsThreshold
+        euint32 belowThresholdCount;   // Submissions strictly below statsThreshold
+        uint32 statsThreshold;         // Snapshot of statisticsThreshold at analysis time
+        bool outcomeResolved;
+        uint32 actualOutcome;          // Observed value posted after the cycle
+        uint32 outcomeTolerance;       // Predictions within +/- tolerance count as accurate
+        AggregationMode aggregationMode;
+        bool analysisCompleted;
+        bool cycleEnded;
+        uint256 startTime;
+        uint256 endTime;
+        uint256 submissionWindow;
+        uint256 cycleDuration;
+        address[] analysts;
+        uint32 participantCount;
+        uint32 scoredCount;            // Predictions compared against the outcome so far
+        bytes32 resultHash;
+    }
+
+    struct AnalystProfile {
+        uint32 totalPredictions;
+        uint32 accurateCount;
+        euint8 reputationScore;
+        bool isVerified;
+        uint256 lastSubmission;
+    }
+
+    // Internal: the auto-generated getters for these structs are too deep for the stack;
+    // use getCycleHistory, getEncryptedResult and getEncryptedStatistics instead
+    mapping(uint32 => mapping(uint32 => PredictionCycle)) internal predictionCycles;
+    mapping(uint32 => mapping(uint32 => mapping(address => TrendData))) internal analystPredictions;
+    mapping(address => AnalystProfile) internal analystProfiles;
+
+    // One decryption request per batch of predictions (analysts[first .. first + count))
+    struct AccuracyRequest {
+        uint32 topicId;
+        uint32 cycle;
+        uint32 first;
+        uint32 count;
+    }
+
+    // Predictions scored per transaction; also the width of the verdict bitmask. Scoring
+    // one prediction costs roughly 0.75M of the coprocessor's 20M HCU per-transaction limit
+    uint32 constant SCORING_BATCH_SIZE = 8;
+
+    mapping(uint256 => AccuracyRequest) private accuracyRequests;
+
+    event ConfidentialResultRequested(uint32 indexed topicId, uint32 indexed cycle, address indexed requester);
+
+    constructor(
+        uint256 _submissionWindow,
+        uint256 _cycleDuration
+    ) TrendPredictorBase(_submissionWindow, _cycleDuration) {}
+
+    function submissionMode() external pure override returns (SubmissionMode) {
+        return SubmissionMode.Encrypted;
+    }
+
+    function _openCycle(
+        uint32 _topicId,
+        uint32 _cycle,
+        uint256 _submissionWindow,
+        uint256 _cycleDuration
+    ) internal override {
+        if (_cycle > 1) {
+            predictionCycles[_topicId][_cycle - 1].cycleEnded = true;
+        }
+
+        // The encrypted results are only read after analysis has written them, so they can
+        // stay uninitialized until then
+        delete predictionCycles[_topicId][_cycle];
+        PredictionCycle storage cycle = predictionCycles[_topicId][_cycle];
+        cycle.startTime = block.timestamp;
+        cycle.submissionWindow = _submissionWindow;
+        cycle.cycleDuration = _cycleDuration;
+    }
+
+    function _participantCount(uint32 _topicId, uint32 _cycle) internal view override returns (uint32) {
+        return predictionCycles[_topicId][_cycle].participantCount;
+    }
+
+    function _isCycleEnded(uint32 _topicId, uint32 _cycle) internal view override returns (bool) {
+        return predictionCycles[_topicId][_cycle].cycleEnded;
+    }
+
+    // Submit confidential trend prediction (encrypted client-side with input proof)
+    function submitTrendPrediction(
+        uint32 _topicId,
+        externalEuint32 _encryptedTrend,
+        externalEuint8 _encryptedConfidence,
+        bytes calldata _inputProof,
+        bytes32 _dataHash
+    ) external onlyDuringSubmissionWindow(_topicId) onlyVerifiedAnalyst {
+        uint32 currentPredictionCycle = topics[_topicId].currentPredictionCycle;
+        require(_dataHash != bytes32(0), "Invalid data hash");
+        require(!usedDataHashes[_dataHash], "Data hash already used");
+        require(!analystPredictions[_topicId][currentPredictionCycle][msg.sender].isSubmitted,
+                "Already submitted for this cycle");
+
+        // Validate the input proof and import the encrypted prediction data
+        euint32 encryptedTrend = FHE.fromExternal(_encryptedTrend, _inputProof);
+        // Confidence can no longer be range-checked in plaintext, so clamp it to 0-100
+        euint8 encryptedConfidence = FHE.min(FHE.fromExternal(_encryptedConfidence, _inputProof), 100);
+
+        analystPredictions[_topicId][currentPredictionCycle][msg.sender] = TrendData({
+            encryptedValue: encryptedTrend,
+            confidenceLevel: encryptedConfidence,
+            isSubmitted: true,
+            timestamp: block.timestamp,
+            dataHash: _dataHash
+        });
+
+        predictionCycles[_topicId][currentPredictionCycle].analysts.push(msg.sender);
+        predictionCycles[_topicId][currentPredictionCycle].participantCount++;
+        usedDataHashes[_dataHash] = true;
+        analystCycles[_topicId][msg.sender].push(currentPredictionCycle);
+
+        // Update analyst profile
+        analystProfiles[msg.sender].totalPredictions++;
+        analystProfiles[msg.sender].lastSubmission = block.timestamp;
+
+        // Grant FHE permissions
+        FHE.allowThis(encryptedTrend);
+        FHE.allowThis(encryptedConfidence);
+        FHE.allow(encryptedTrend, msg.sender);
+        FHE.allow(encryptedConfidence, msg.sender);
+
+        emit TrendSubmitted(msg.sender, _topicId, currentPredictionCycle, _dataHash);
+    }
+
+    // Perform confidential trend analysis; callable by anyone once the analysis window opens
+    function performConfidentialAnalysis(uint32 _topicId) external onlyDuringAnalysisWindow(_topicId) {
+        (PredictionCycle storage cycle, uint32 currentPredictionCycle) = _unanalyzedCycle(_topicId);
+        require(cycle.participantCount > 0, "No predictions to analyze");
+
+        // Aggregate all predictions using FHE operations; nothing is decrypted
+        _aggregateTrend(_topicId, currentPredictionCycle);
+        _computeStatistics(_topicId, currentPredictionCycle);
+
+        cycle.analysisCompleted = true;
+        cycle.endTime = block.timestamp;
+        cycle.resultHash = keccak256(abi.encodePacked(
+            _topicId,
+            currentPredictionCycle,
+            block.timestamp,
+            cycle.participantCount
+        ));
+
+        // Grant permissions for result access
+        FHE.allowThis(cycle.weightedTrendSum);
+        FHE.allowThis(cycle.totalWeight);
+        FHE.allowThis(cycle.averageConfidence);
+        FHE.allowThis(cycle.minTrend);
+        FHE.allowThis(cycle.maxTrend);
+        FHE.allowThis(cycle.aboveThresholdCount);
+        FHE.allowThis(cycle.belowThresholdCount);
+
+        emit AnalysisCompleted(_topicId, currentPredictionCycle, cycle.resultHash, cycle.participantCount);
+
+        // Move to next cycle
+        topics[_topicId].currentPredictionCycle++;
+
+        _payKeeperBounty();
+    }
+
+    // Sum value * weight, the weights and the confidences under encryption
+    function _aggregateTrend(uint32 _topicId, uint32 _cycle) private {
+        PredictionCycle storage cycle = predictionCycles[_topicId][_cycle];
+        bool byReputation = cycle.aggregationMode == AggregationMode.ReputationWeighted;
+
+        // Initialize aggregated values (64-bit: value * weight exceeds euint32)
+        euint64 totalTrend = FHE.asEuint64(0);
+        euint64 weightedTrend = FHE.asEuint64(0);
+        euint32 totalConfidence = FHE.asEuint32(0);
+        euint32 totalWeight = FHE.asEuint32(0);
+
+        for (uint i = 0; i < cycle.analysts.length; i++) {
+            address analyst = cycle.analysts[i];
+            TrendData storage prediction = analystPredictions[_topicId][_cycle][analyst];
+
+            // Add encrypted values, weighting each trend by confidence or reputation
+            euint8 weight = byReputation
+                ? analystProfiles[analyst].reputationScore
+                : prediction.confidenceLevel;
+            euint64 value = FHE.asEuint64(prediction.encryptedValue);
+            totalTrend = FHE.add(totalTrend, value);
+            weightedTrend = FHE.add(weightedTrend, FHE.mul(value, FHE.asEuint64(weight)));
+            totalWeight = FHE.add(totalWeight, FHE.asEuint32(weight));
+            totalConfidence = FHE.add(totalConfidence,
+                FHE.asEuint32(prediction.confidenceLevel));
+        }
+
+        uint32 count = cycle.participantCount;
+        if (byReputation) {
+            // Each reputation is re-centred on 100 (reputation + 100 - mean reputation), so the
+            // weights total 100 per participant. Scaled by the count to keep it integral, the
+            // numerator is count * sum(value * reputation) + (100 * count - reputation total) * sum(value)
+            // over the public 100 * count^2, and the reputation total never leaves the contract
+            euint64 deficit = FHE.sub(FHE.asEuint64(100 * count), FHE.asEuint64(totalWeight));
+            cycle.weightedTrendSum = FHE.add(FHE.mul(weightedTrend, count), FHE.mul(totalTrend, deficit));
+            cycle.totalWeight = FHE.asEuint32(100 * count * count);
+        } else {
+            // With every weight at 0 the mean falls back to the plain mean: sum / participant count
+            ebool unweighted = FHE.eq(totalWeight, 0);
+            cycle.weightedTrendSum = FHE.select(unweighted, totalTrend, weightedTrend);
+            cycle.totalWeight = FHE.select(unweighted, FHE.asEuint32(count), totalWeight);
+        }
+
+        // The participant count is public, so the average confidence divides under encryption
+        cycle.averageConfidence = FHE.asEuint8(FHE.div(totalConfidence, count));
+    }
+
+    // Encrypted dispersion statistics, seeded from the first prediction
+    function _computeStatistics(uint32 _topicId, uint32 _cycle) private {
+        PredictionCycle storage cycle = predictionCycles[_topicId][_cycle];
+        mapping(address => TrendData) storage predictions = analystPredictions[_topicId][_cycle];
+
+        uint32 threshold = topics[_topicId].statisticsThreshold;
+        euint32 minTrend = predictions[cycle.analysts[0]].encryptedValue;
+        euint32 maxTrend = minTrend;
+        euint32 aboveCount = FHE.asEuint32(0);
+        euint32 belowCount = FHE.asEuint32(0);
+        euint32 one = FHE.asEuint32(1);
+        euint32 zero = FHE.asEuint32(0);
+
+        for (uint i = 0; i < cycle.analysts.length; i++) {
+            euint32 value = predictions[cycle.analysts[i]].encryptedValue;
+
+            minTrend = FHE.min(minTrend, value);
+            maxTrend = FHE.max(maxTrend, value);
+            aboveCount = FHE.add(aboveCount, FHE.select(FHE.gt(value, threshold), one, zero));
+            belowCount = FHE.add(belowCount, FHE.select(FHE.lt(value, threshold), one, zero));
+        }
+
+        cycle.minTrend = minTrend;
+        cycle.maxTrend = maxTrend;
+        cycle.aboveThresholdCount = aboveCount;
+        cycle.belowThresholdCount = belowCount;
+        cycle.statsThreshold = threshold;
+    }
+
+    // Shared by every reader and writer of analysis results, so the check is only compiled once
+    function _completedCycle(uint32 _topicId, uint32 _cycle) private view returns (PredictionCycle storage cycle) {
+        cycle = predictionCycles[_topicId][_cycle];
+        require(cycle.analysisCompleted, "Analysis not completed");
+    }
+
+    // Current cycle of a topic, which must still be open for analysis
+    function _unanalyzedCycle(uint32 _topicId) private view returns (PredictionCycle storage cycle, uint32 number) {
+        number = topics[_topicId].currentPredictionCycle;
+        cycle = predictionCycles[_topicId][number];
+        require(!cycle.analysisCompleted, "Analysis already completed");
+    }
+
+    // Request confidential analysis result (with proper authorization)
+    function requestConfidentialResult(uint32 _topicId, uint32 _cycle) external {
+        PredictionCycle storage cycle = _completedCycle(_topicId, _cycle);
+        require(analystProfiles[msg.sender].isVerified, "Not authorized");
+
+        // Grant access to the encrypted results; this is the only way they are disclosed
+        FHE.allow(cycle.weightedTrendSum, msg.sender);
+        FHE.allow(cycle.totalWeight, msg.sender);
+        FHE.allow(cycle.averageConfidence, msg.sender);
+        FHE.allow(cycle.minTrend, msg.sender);
+        FHE.allow(cycle.maxTrend, msg.sender);
+        FHE.allow(cycle.aboveThresholdCount, msg.sender);
+        FHE.allow(cycle.belowThresholdCount, msg.sender);
+
+        emit ConfidentialResultRequested(_topicId, _cycle, msg.sender);
+    }
+
+    // Post the observed outcome for an analyzed cycle and score the first batch of predictions
+    function resolveCycleOutcome(
+        uint32 _topicId,
+        uint32 _cycle,
+        uint32 _actualValue,
+        uint32 _tolerance
+    ) external onlyRole(OUTCOME_REPORTER_ROLE) {
+        PredictionCycle storage cycle = _completedCycle(_topicId, _cycle);
+        require(!cycle.outcomeResolved, "Outcome already resolved");
+
+        cycle.outcomeResolved = true;
+        cycle.actualOutcome = _actualValue;
+        cycle.outcomeTolerance = _tolerance;
+
+        emit OutcomeResolved(_topicId, _cycle, _actualValue, _tolerance);
+
+        _scoreBatch(_topicId, _cycle, cycle);
+    }
+
+    // Score the next batch of a resolved cycle; anyone may continue, the outcome is already fixed
+    function scoreOutcomeBatch(uint32 _topicId, uint32 _cycle) external {
+        PredictionCycle storage cycle = predictionCycles[_topicId][_cycle];
+        require(cycle.outcomeResolved, "Outcome not resolved");
+        require(cycle.scoredCount < cycle.analysts.length, "All predictions scored");
+
+        _scoreBatch(_topicId, _cycle, cycle);
+    }
+
+    // Compare up to SCORING_BATCH_SIZE encrypted predictions against the tolerance band,
+    // moving each reputation without revealing it, and decrypt the verdicts in one request
+    function _scoreBatch(uint32 _topicId, uint32 _cycle, PredictionCycle storage cycle) private {
+        uint32 first = cycle.scoredCount;
+        uint32 count = uint32(cycle.analysts.length) - first;
+        if (count > SCORING_BATCH_SIZE) count = SCORING_BATCH_SIZE;
+        if (count == 0) return;
+
+        (uint32 lower, uint32 upper) = _toleranceBand(cycle.actualOutcome, cycle.outcomeTolerance);
+        euint8 verdicts = FHE.asEuint8(0);
+
+        for (uint32 i = 0; i < count; i++) {
+            address analyst = cycle.analysts[first + i];
+            euint32 value = analystPredictions[_topicId][_cycle][analyst].encryptedValue;
+            ebool accurate = FHE.and(FHE.ge(value, lower), FHE.le(value, upper));
+
+            euint8 reputation = analystProfiles[analyst].reputationScore;
+            euint8 raised = FHE.min(FHE.add(reputation, REPUTATION_STEP), 100);
+            euint8 lowered = FHE.sub(FHE.max(reputation, REPUTATION_STEP), REPUTATION_STEP);
+            _setReputation(analyst, FHE.select(accurate, raised, lowered));
+
+            verdicts = FHE.or(verdicts, FHE.shl(FHE.asEuint8(accurate), uint8(i)));
+        }
+
+        cycle.scoredCount = first + count;
+
+        // accurateCount is public, so the per-analyst verdicts are decrypted
+        bytes32[] memory cts = new bytes32[](1);
+        cts[0] = FHE.toBytes32(verdicts);
+        uint256 requestId = FHE.requestDecryption(cts, this.processAccuracyResults.selector);
+        accuracyRequests[requestId] = AccuracyRequest({
+            topicId: _topicId,
+            cycle: _cycle,
+            first: first,
+            count: count
+        });
+    }
+
+    // Callback to record a batch of decrypted accuracy verdicts (bit i = analyst first + i)
+    function processAccuracyResults(
+        uint256 requestId,
+        uint8 accurateMask,
+        bytes[] memory signatures
+    ) external {
+        AccuracyRequest memory request = accuracyRequests[requestId];
+        require(request.cycle != 0, "Unknown request");
+
+        FHE.checkSignatures(requestId, signatures);
+        delete accuracyRequests[requestId];
+
+        address[] storage analysts = predictionCycles[request.topicId][request.cycle].analysts;
+        for (uint32 i = 0; i < request.count; i++) {
+            address analyst = analysts[request.first + i];
+            bool isAccurate = (accurateMask >> i) & 1 == 1;
+            if (isAccurate) {
+                analystProfiles[analyst].accurateCount++;
+            }
+
+            emit AccuracyScored(request.topicId, request.cycle, analyst, isAccurate);
+        }
+    }
+
+    // Choose how the current cycle is aggregated (before analysis runs)
+    function setAggregationMode(
+        uint32 _topicId,
+        AggregationMode _mode
+    ) external onlyRole(CYCLE_OPERATOR_ROLE) onlyExistingTopic(_topicId) {
+        (PredictionCycle storage cycle, uint32 currentPredictionCycle) = _unanalyzedCycle(_topicId);
+
+        cycle.aggregationMode = _mode;
+
+        emit AggregationModeUpdated(_topicId, currentPredictionCycle, _mode);
+    }
+
+    function _isVerifiedAnalyst(address _analyst) internal view override returns (bool) {
+        return analystProfiles[_analyst].isVerified;
+    }
+
+    function _setAnalystVerified(address _analyst, bool _verified) internal override {
+        analystProfiles[_analyst].isVerified = _verified;
+        if (!_verified) return;
+
+        analystProfiles[_analyst].reputationScore = FHE.asEuint8(50); // Starting score
+
+        FHE.allowThis(analystProfiles[_analyst].reputationScore);
+        FHE.allow(analystProfiles[_analyst].reputationScore, _analyst);
+    }
+
+    // Store a new encrypted reputation that only the contract and the analyst can use
+    function _setReputation(address _analyst, euint8 _score) private {
+        analystProfiles[_analyst].reputationScore = _score;
+        FHE.allowThis(_score);
+        FHE.allow(_score, _analyst);
+
+        emit ReputationUpdated(_analyst);
+    }
+
+    // Update analyst reputation based on prediction accuracy
+    function updateAnalystReputation(address _analyst, uint8 _newScore) external onlyRole(ANALYST_VERIFIER_ROLE) {
+        require(_newScore <= 100, "Score must be 0-100");
+        _checkVerifiedAnalyst(_analyst);
+
+        _setReputation(_analyst, FHE.asEuint8(_newScore));
+    }
+
+    // Get current cycle information
+    function getCurrentCycleInfo(uint32 _topicId) external view returns (
+        uint32 cycle,
+        uint256 startTime,
+        uint32 participantCount,
+        bool analysisCompleted,
+        bool submissionWindowActive,
+        bool analysisWindowActive
+    ) {
+        Topic storage topic = topics[_topicId];
+        PredictionCycle storage currentCycle = predictionCycles[_topicId][topic.currentPredictionCycle];
+        return (
+            topic.currentPredictionCycle,
+            topic.cycleStartTime,
+            currentCycle.participantCount,
+            currentCycle.analysisCompleted,
+            isSubmissionWindowActive(_topicId),
+            isAnalysisWindowActive(_topicId)
+        );
+    }
+
+    // Get analyst profile information
+    function getAnalystProfile(address _analyst) external view returns (
+        uint32 totalPredictions,
+        uint32 accurateCount,
+        bool isVerified,
+        uint256 lastSubmission
+    ) {
+        AnalystProfile storage profile = analystProfiles[_analyst];
+        return (
+            profile.totalPredictions,
+            profile.accurateCount,
+            profile.isVerified,
+            profile.lastSubmission
+        );
+    }
+
+    // Get encrypted reputation handle (only the analyst can decrypt it)
+    function getEncryptedReputation(address _analyst) external view returns (euint8) {
+        _checkVerifiedAnalyst(_analyst);
+        return analystProfiles[_analyst].reputationScore;
+    }
+
+    // Get cycle history
+    function getCycleHistory(uint32 _topicId, uint32 _cycle) external view returns (
+        bool analysisCompleted,
+        bool cycleEnded,
+        uint256 startTime,
+        uint256 endTime,
+        uint32 participantCount,
+        bytes32 resultHash
+    ) {
+        PredictionCycle storage cycle = predictionCycles[_topicId][_cycle];
+        return (
+            cycle.analysisCompleted,
+            cycle.cycleEnded,
+            cycle.startTime,
+            cycle.endTime,
+            cycle.participantCount,
+            cycle.resultHash
+        );
+    }
+
+    // Get the aggregation mode of a cycle
+    function getAggregationMode(uint32 _topicId, uint32 _cycle) external view returns (AggregationMode) {
+        return predictionCycles[_topicId][_cycle].aggregationMode;
+    }
+
+    // Get encrypted result handles for user decryption (requires requestConfidentialResult first);
+    // the weighted trend is weightedTrendSum / totalWeight
+    function getEncryptedResult(uint32 _topicId, uint32 _cycle) external view returns (
+        euint64 weightedTrendSum,
+        euint32 totalWeight,
+        euint8 averageConfidence
+    ) {
+        PredictionCycle storage cycle = _completedCycle(_topicId, _cycle);
+
+        return (cycle.weightedTrendSum, cycle.totalWeight, cycle.averageConfidence);
+    }
+
+    // Get encrypted dispersion statistics for user decryption
+    function getEncryptedStatistics(uint32 _topicId, uint32 _cycle) external view returns (
+        euint32 minTrend,
+        euint32 maxTrend,
+        euint32 aboveThresholdCount,
+        euint32 belowThresholdCount,
+        uint32 threshold
+    ) {
+        PredictionCycle storage cycle = _completedCycle(_topicId, _cycle);
+
+        return (
+            cycle.minTrend,
+            cycle.maxTrend,
+            cycle.aboveThresholdCount,
+            cycle.belowThresholdCount,
+            cycle.statsThreshold
+        );
+    }
+
+    // Get how many predictions of a resolved cycle have been scored so far
+    function getScoringProgress(uint32 _topicId, uint32 _cycle) external view returns (
+        uint32 scored,
+        uint32 total
+    ) {
+        PredictionCycle storage cycle = predictionCycles[_topicId][_cycle];
+        return (cycle.scoredCount, uint32(cycle.analysts.length));
+    }
+
+    // Get the posted outcome for a cycle
+    function getCycleOutcome(uint32 _topicId, uint32 _cycle) external view returns (
+        bool resolved,
+        uint32 actualValue,
+        uint32 tolerance
+    ) {
+        PredictionCycle storage cycle = predictionCycles[_topicId][_cycle];
+        return (cycle.outcomeResolved, cycle.actualOutcome, cycle.outcomeTolerance);
+    }
+
+    // Get an analyst's encrypted prediction handles (only the analyst can decrypt them)
+    function getAnalystPrediction(uint32 _topicId, uint32 _cycle, address _analyst) external view returns (
+        euint32 encryptedValue,
+        euint8 confidenceLevel,
+        uint256 timestamp,
+        bytes32 dataHash
+    ) {
+        TrendData storage prediction = analystPredictions[_topicId][_cycle][_analyst];
+        require(prediction.isSubmitted, "No prediction for this cycle");
+
+        return (
+            prediction.encryptedValue,
+            prediction.confidenceLevel,
+            prediction.timestamp,
+            prediction.dataHash
+        );
+    }
+
+    // Check if analyst has submitted for current cycle
+    function hasAnalystSubmitted(uint32 _topicId, address _analyst) external view returns (bool) {
+        return analystPredictions[_topicId][topics[_topicId].currentPredictionCycle][_analyst].isSubmitted;
+    }
+}
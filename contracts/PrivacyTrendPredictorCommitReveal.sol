@@ -0,0 +1,480 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { TrendPredictorBase } from "./TrendPredictorBase.sol";
+
+// Fallback for chains without the FHE coprocessor (including a local Hardhat node).
+// Analysts commit keccak256(analyst, topicId, cycle, value, confidence, salt) during the
+// submission window and reveal during the analysis window; aggregation then runs on the
+// revealed values. Predictions stay hidden only until they are revealed
+contract PrivacyTrendPredictorCommitReveal is TrendPredictorBase {
+
+    struct TrendData {
+        bytes32 commitment;
+        uint32 value;                  // Set on reveal
+        uint8 confidenceLevel;         // Set on reveal
+        bool isSubmitted;
+        bool isRevealed;
+        uint256 timestamp;
+        bytes32 dataHash;
+    }
+
+    struct PredictionCycle {
+        uint32 aggregatedTrend;        // Weighted mean of the revealed predictions
+        uint8 averageConfidence;
+        uint32 minTrend;
+        uint32 maxTrend;
+        uint32 aboveThresholdCount;    // Reveals strictly above statsThreshold
+        uint32 belowThresholdCount;    // Reveals strictly below statsThreshold
+        uint32 statsThreshold;         // Snapshot of statisticsThreshold at analysis time
+        bool outcomeResolved;
+        uint32 actualOutcome;          // Observed value posted after the cycle
+        uint32 outcomeTolerance;       // Predictions within +/- tolerance count as accurate
+        AggregationMode aggregationMode;
+        bool analysisCompleted;
+        bool cycleEnded;
+        uint256 startTime;
+        uint256 endTime;
+        uint256 submissionWindow;
+        uint256 cycleDuration;
+        address[] analysts;
+        uint32 participantCount;       // Commitments received
+        uint32 revealedCount;          // Commitments opened; only these are aggregated and scored
+        bytes32 resultHash;
+    }
+
+    struct AnalystProfile {
+        uint32 totalPredictions;
+        uint32 accurateCount;
+        uint8 reputationScore;
+        bool isVerified;
+        uint256 lastSubmission;
+    }
+
+    // Internal: the auto-generated getter is too deep for the stack; use getCycleHistory
+    // and getCycleResult instead
+    mapping(uint32 => mapping(uint32 => PredictionCycle)) internal predictionCycles;
+    mapping(uint32 => mapping(uint32 => mapping(address => TrendData))) internal analystPredictions;
+    mapping(address => AnalystProfile) internal analystProfiles;
+
+    event TrendRevealed(address indexed analyst, uint32 indexed topicId, uint32 indexed cycle, uint32 value, uint8 confidence);
+
+    constructor(
+        uint256 _submissionWindow,
+        uint256 _cycleDuration
+    ) TrendPredictorBase(_submissionWindow, _cycleDuration) {}
+
+    function submissionMode() external pure override returns (SubmissionMode) {
+        return SubmissionMode.CommitReveal;
+    }
+
+    // Commitment an analyst submits for a prediction; the salt must stay secret until the reveal.
+    // Binding the analyst, topic and cycle means a copied commitment can never be opened
+    function computeCommitment(
+        address _analyst,
+        uint32 _topicId,
+        uint32 _cycle,
+        uint32 _value,
+        uint8 _confidence,
+        bytes32 _salt
+    ) public pure returns (bytes32) {
+        return keccak256(abi.encodePacked(_analyst, _topicId, _cycle, _value, _confidence, _salt));
+    }
+
+    function _openCycle(
+        uint32 _topicId,
+        uint32 _cycle,
+        uint256 _submissionWindow,
+        uint256 _cycleDuration
+    ) internal override {
+        if (_cycle > 1) {
+            predictionCycles[_topicId][_cycle - 1].cycleEnded = true;
+        }
+
+        delete predictionCycles[_topicId][_cycle];
+        PredictionCycle storage cycle = predictionCycles[_topicId][_cycle];
+        cycle.startTime = block.timestamp;
+        cycle.submissionWindow = _submissionWindow;
+        cycle.cycleDuration = _cycleDuration;
+    }
+
+    function _participantCount(uint32 _topicId, uint32 _cycle) internal view override returns (uint32) {
+        return predictionCycles[_topicId][_cycle].participantCount;
+    }
+
+    function _isCycleEnded(uint32 _topicId, uint32 _cycle) internal view override returns (bool) {
+        return predictionCycles[_topicId][_cycle].cycleEnded;
+    }
+
+    // Reveals stay analyzable after the cycle ends, so a cycle with any is never skipped;
+    // otherwise the keeper bounty would pay for starting the next cycle ahead of the analysis
+    function _checkSkippable(uint32 _topicId, uint32 _cycle) internal view override {
+        require(predictionCycles[_topicId][_cycle].revealedCount == 0, "Revealed predictions not analyzed");
+    }
+
+    // Commit to a prediction during the submission window
+    function submitTrendCommitment(
+        uint32 _topicId,
+        bytes32 _commitment,
+        bytes32 _dataHash
+    ) external onlyDuringSubmissionWindow(_topicId) onlyVerifiedAnalyst {
+        uint32 currentPredictionCycle = topics[_topicId].currentPredictionCycle;
+        require(_commitment != bytes32(0), "Invalid commitment");
+        require(_dataHash != bytes32(0), "Invalid data hash");
+        require(!usedDataHashes[_dataHash], "Data hash already used");
+        require(!analystPredictions[_topicId][currentPredictionCycle][msg.sender].isSubmitted,
+                "Already submitted for this cycle");
+
+        TrendData storage prediction = analystPredictions[_topicId][currentPredictionCycle][msg.sender];
+        prediction.commitment = _commitment;
+        prediction.isSubmitted = true;
+        prediction.timestamp = block.timestamp;
+        prediction.dataHash = _dataHash;
+
+        predictionCycles[_topicId][currentPredictionCycle].analysts.push(msg.sender);
+        predictionCycles[_topicId][currentPredictionCycle].participantCount++;
+        usedDataHashes[_dataHash] = true;
+        analystCycles[_topicId][msg.sender].push(currentPredictionCycle);
+
+        // Update analyst profile
+        analystProfiles[msg.sender].totalPredictions++;
+        analystProfiles[msg.sender].lastSubmission = block.timestamp;
+
+        emit TrendSubmitted(msg.sender, _topicId, currentPredictionCycle, _dataHash);
+    }
+
+    // Open a commitment during the analysis window, before the cycle is aggregated
+    function revealTrendPrediction(
+        uint32 _topicId,
+        uint32 _value,
+        uint8 _confidence,
+        bytes32 _salt
+    ) external onlyDuringAnalysisWindow(_topicId) {
+        uint32 currentPredictionCycle = topics[_topicId].currentPredictionCycle;
+        PredictionCycle storage cycle = predictionCycles[_topicId][currentPredictionCycle];
+        TrendData storage prediction = analystPredictions[_topicId][currentPredictionCycle][msg.sender];
+        require(!cycle.analysisCompleted, "Analysis already completed");
+        require(prediction.isSubmitted, "No prediction for this cycle");
+        require(!prediction.isRevealed, "Already revealed");
+        require(_confidence <= 100, "Confidence must be 0-100");
+        require(computeCommitment(msg.sender, _topicId, currentPredictionCycle, _value, _confidence, _salt) ==
+                prediction.commitment, "Commitment mismatch");
+
+        prediction.value = _value;
+        prediction.confidenceLevel = _confidence;
+        prediction.isRevealed = true;
+        cycle.revealedCount++;
+
+        emit TrendRevealed(msg.sender, _topicId, currentPredictionCycle, _value, _confidence);
+    }
+
+    // Aggregate the revealed predictions; callable by anyone once every commitment is
+    // revealed, or after the analysis window with whatever was revealed in time.
+    // Keeps the FHE contract's name so keepers and clients drive both variants alike
+    function performConfidentialAnalysis(uint32 _topicId) external onlyExistingTopic(_topicId) {
+        Topic storage topic = topics[_topicId];
+        uint32 currentPredictionCycle = topic.currentPredictionCycle;
+        PredictionCycle storage cycle = predictionCycles[_topicId][currentPredictionCycle];
+        require(!isSubmissionWindowActive(_topicId), "Submission window still open");
+        require(!cycle.analysisCompleted, "Analysis already completed");
+        require(cycle.participantCount > 0, "No predictions to analyze");
+        require(cycle.revealedCount == cycle.participantCount ||
+                block.timestamp >= topic.cycleStartTime + topic.cycleDuration, "Reveal window still open");
+        require(cycle.revealedCount > 0, "No revealed predictions");
+
+        _aggregateTrend(_topicId, currentPredictionCycle);
+        _computeStatistics(_topicId, currentPredictionCycle);
+
+        cycle.analysisCompleted = true;
+        cycle.endTime = block.timestamp;
+        cycle.resultHash = keccak256(abi.encodePacked(
+            _topicId,
+            currentPredictionCycle,
+            block.timestamp,
+            cycle.participantCount
+        ));
+
+        emit AnalysisCompleted(_topicId, currentPredictionCycle, cycle.resultHash, cycle.participantCount);
+
+        // Move to next cycle
+        topic.currentPredictionCycle++;
+
+        _payKeeperBounty();
+    }
+
+    // Weighted mean (by confidence or reputation) and average confidence of the reveals
+    function _aggregateTrend(uint32 _topicId, uint32 _cycle) private {
+        PredictionCycle storage cycle = predictionCycles[_topicId][_cycle];
+        mapping(address => TrendData) storage predictions = analystPredictions[_topicId][_cycle];
+        bool byReputation = cycle.aggregationMode == AggregationMode.ReputationWeighted;
+
+        uint256 trendSum;
+        uint256 weightedTrendSum;
+        uint256 totalWeight;
+        uint256 totalConfidence;
+
+        for (uint i = 0; i < cycle.analysts.length; i++) {
+            address analyst = cycle.analysts[i];
+            TrendData storage prediction = predictions[analyst];
+            if (!prediction.isRevealed) continue;
+
+            uint256 weight = byReputation
+                ? analystProfiles[analyst].reputationScore
+                : prediction.confidenceLevel;
+            trendSum += prediction.value;
+            weightedTrendSum += uint256(prediction.value) * weight;
+            totalWeight += weight;
+            totalConfidence += prediction.confidenceLevel;
+        }
+
+        // The weighted mean never exceeds the largest revealed value, so it fits in uint32
+        cycle.aggregatedTrend = uint32(totalWeight > 0
+            ? weightedTrendSum / totalWeight
+            : trendSum / cycle.revealedCount);
+        cycle.averageConfidence = uint8(totalConfidence / cycle.revealedCount);
+    }
+
+    // Dispersion statistics over the reveals
+    function _computeStatistics(uint32 _topicId, uint32 _cycle) private {
+        PredictionCycle storage cycle = predictionCycles[_topicId][_cycle];
+        mapping(address => TrendData) storage predictions = analystPredictions[_topicId][_cycle];
+
+        uint32 threshold = topics[_topicId].statisticsThreshold;
+        uint32 minTrend = type(uint32).max;
+        uint32 maxTrend = 0;
+        uint32 aboveCount = 0;
+        uint32 belowCount = 0;
+
+        for (uint i = 0; i < cycle.analysts.length; i++) {
+            TrendData storage prediction = predictions[cycle.analysts[i]];
+            if (!prediction.isRevealed) continue;
+
+            uint32 value = prediction.value;
+            if (value < minTrend) minTrend = value;
+            if (value > maxTrend) maxTrend = value;
+            if (value > threshold) aboveCount++;
+            if (value < threshold) belowCount++;
+        }
+
+        cycle.minTrend = minTrend;
+        cycle.maxTrend = maxTrend;
+        cycle.aboveThresholdCount = aboveCount;
+        cycle.belowThresholdCount = belowCount;
+        cycle.statsThreshold = threshold;
+    }
+
+    // Post the observed outcome for an analyzed cycle and score every prediction
+    function resolveCycleOutcome(
+        uint32 _topicId,
+        uint32 _cycle,
+        uint32 _actualValue,
+        uint32 _tolerance
+    ) external onlyRole(OUTCOME_REPORTER_ROLE) {
+        PredictionCycle storage cycle = predictionCycles[_topicId][_cycle];
+        require(cycle.analysisCompleted, "Analysis not completed");
+        require(!cycle.outcomeResolved, "Outcome already resolved");
+
+        cycle.outcomeResolved = true;
+        cycle.actualOutcome = _actualValue;
+        cycle.outcomeTolerance = _tolerance;
+
+        (uint32 lower, uint32 upper) = _toleranceBand(_actualValue, _tolerance);
+
+        for (uint i = 0; i < cycle.analysts.length; i++) {
+            address analyst = cycle.analysts[i];
+            TrendData storage prediction = analystPredictions[_topicId][_cycle][analyst];
+            // An unrevealed commitment counts as inaccurate, so holding back a bad prediction
+            // never protects the analyst's reputation
+            bool accurate = prediction.isRevealed && prediction.value >= lower && prediction.value <= upper;
+            AnalystProfile storage profile = analystProfiles[analyst];
+            if (accurate) {
+                profile.accurateCount++;
+                profile.reputationScore = profile.reputationScore + REPUTATION_STEP > 100
+                    ? 100
+                    : profile.reputationScore + REPUTATION_STEP;
+            } else {
+                profile.reputationScore = profile.reputationScore > REPUTATION_STEP
+                    ? profile.reputationScore - REPUTATION_STEP
+                    : 0;
+            }
+
+            emit ReputationUpdated(analyst);
+            emit AccuracyScored(_topicId, _cycle, analyst, accurate);
+        }
+
+        emit OutcomeResolved(_topicId, _cycle, _actualValue, _tolerance);
+    }
+
+    // Choose how the current cycle is aggregated (before analysis runs)
+    function setAggregationMode(
+        uint32 _topicId,
+        AggregationMode _mode
+    ) external onlyRole(CYCLE_OPERATOR_ROLE) onlyExistingTopic(_topicId) {
+        uint32 currentPredictionCycle = topics[_topicId].currentPredictionCycle;
+        PredictionCycle storage cycle = predictionCycles[_topicId][currentPredictionCycle];
+        require(!cycle.analysisCompleted, "Analysis already completed");
+
+        cycle.aggregationMode = _mode;
+
+        emit AggregationModeUpdated(_topicId, currentPredictionCycle, _mode);
+    }
+
+    function _isVerifiedAnalyst(address _analyst) internal view override returns (bool) {
+        return analystProfiles[_analyst].isVerified;
+    }
+
+    function _setAnalystVerified(address _analyst, bool _verified) internal override {
+        analystProfiles[_analyst].isVerified = _verified;
+        if (_verified) {
+            analystProfiles[_analyst].reputationScore = 50; // Starting score
+        }
+    }
+
+    // Update analyst reputation based on prediction accuracy
+    function updateAnalystReputation(address _analyst, uint8 _newScore) external onlyRole(ANALYST_VERIFIER_ROLE) {
+        require(_newScore <= 100, "Score must be 0-100");
+        _checkVerifiedAnalyst(_analyst);
+
+        analystProfiles[_analyst].reputationScore = _newScore;
+
+        emit ReputationUpdated(_analyst);
+    }
+
+    // Get current cycle information
+    function getCurrentCycleInfo(uint32 _topicId) external view returns (
+        uint32 cycle,
+        uint256 startTime,
+        uint32 participantCount,
+        bool analysisCompleted,
+        bool submissionWindowActive,
+        bool analysisWindowActive
+    ) {
+        Topic storage topic = topics[_topicId];
+        PredictionCycle storage currentCycle = predictionCycles[_topicId][topic.currentPredictionCycle];
+        return (
+            topic.currentPredictionCycle,
+            topic.cycleStartTime,
+            currentCycle.participantCount,
+            currentCycle.analysisCompleted,
+            isSubmissionWindowActive(_topicId),
+            isAnalysisWindowActive(_topicId)
+        );
+    }
+
+    // Get how many commitments of a cycle have been revealed
+    function getRevealStatus(uint32 _topicId, uint32 _cycle) external view returns (
+        uint32 committed,
+        uint32 revealed
+    ) {
+        PredictionCycle storage cycle = predictionCycles[_topicId][_cycle];
+        return (cycle.participantCount, cycle.revealedCount);
+    }
+
+    // Get analyst profile information
+    function getAnalystProfile(address _analyst) external view returns (
+        uint32 totalPredictions,
+        uint32 accurateCount,
+        bool isVerified,
+        uint256 lastSubmission
+    ) {
+        AnalystProfile storage profile = analystProfiles[_analyst];
+        return (
+            profile.totalPredictions,
+            profile.accurateCount,
+            profile.isVerified,
+            profile.lastSubmission
+        );
+    }
+
+    // Get an analyst's reputation score (public in this mode)
+    function getReputation(address _analyst) external view returns (uint8) {
+        _checkVerifiedAnalyst(_analyst);
+        return analystProfiles[_analyst].reputationScore;
+    }
+
+    // Get cycle history
+    function getCycleHistory(uint32 _topicId, uint32 _cycle) external view returns (
+        bool analysisCompleted,
+        bool cycleEnded,
+        uint256 startTime,
+        uint256 endTime,
+        uint32 participantCount,
+        bytes32 resultHash
+    ) {
+        PredictionCycle storage cycle = predictionCycles[_topicId][_cycle];
+        return (
+            cycle.analysisCompleted,
+            cycle.cycleEnded,
+            cycle.startTime,
+            cycle.endTime,
+            cycle.participantCount,
+            cycle.resultHash
+        );
+    }
+
+    // Get the aggregation mode of a cycle
+    function getAggregationMode(uint32 _topicId, uint32 _cycle) external view returns (AggregationMode) {
+        return predictionCycles[_topicId][_cycle].aggregationMode;
+    }
+
+    // Get the aggregated result and dispersion statistics of an analyzed cycle
+    function getCycleResult(uint32 _topicId, uint32 _cycle) external view returns (
+        uint32 aggregatedTrend,
+        uint8 averageConfidence,
+        uint32 minTrend,
+        uint32 maxTrend,
+        uint32 aboveThresholdCount,
+        uint32 belowThresholdCount,
+        uint32 threshold
+    ) {
+        PredictionCycle storage cycle = predictionCycles[_topicId][_cycle];
+        require(cycle.analysisCompleted, "Analysis not completed");
+
+        return (
+            cycle.aggregatedTrend,
+            cycle.averageConfidence,
+            cycle.minTrend,
+            cycle.maxTrend,
+            cycle.aboveThresholdCount,
+            cycle.belowThresholdCount,
+            cycle.statsThreshold
+        );
+    }
+
+    // Get the posted outcome for a cycle
+    function getCycleOutcome(uint32 _topicId, uint32 _cycle) external view returns (
+        bool resolved,
+        uint32 actualValue,
+        uint32 tolerance
+    ) {
+        PredictionCycle storage cycle = predictionCycles[_topicId][_cycle];
+        return (cycle.outcomeResolved, cycle.actualOutcome, cycle.outcomeTolerance);
+    }
+
+    // Get an analyst's commitment and, once revealed, the prediction itself
+    function getAnalystPrediction(uint32 _topicId, uint32 _cycle, address _analyst) external view returns (
+        bytes32 commitment,
+        bool revealed,
+        uint32 value,
+        uint8 confidenceLevel,
+        uint256 timestamp,
+        bytes32 dataHash
+    ) {
+        TrendData storage prediction = analystPredictions[_topicId][_cycle][_analyst];
+        require(prediction.isSubmitted, "No prediction for this cycle");
+
+        return (
+            prediction.commitment,
+            prediction.isRevealed,
+            prediction.value,
+            prediction.confidenceLevel,
+            prediction.timestamp,
+            prediction.dataHash
+        );
+    }
+
+    // Check if analyst has submitted for current cycle
+    function hasAnalystSubmitted(uint32 _topicId, address _analyst) external view returns (bool) {
+        return analystPredictions[_topicId][topics[_topicId].currentPredictionCycle][_analyst].isSubmitted;
+    }
+}
@@ -0,0 +1,567 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+// Topics, cycle schedule, roles, ownership, analyst onboarding and keeper bounties,
+// shared by the FHE contract and the commit-reveal fallback. Each variant keeps its
+// own prediction, cycle and analyst profile storage behind the hooks at the bottom
+abstract contract TrendPredictorBase {
+
+    address public owner;
+    address public pendingOwner; // Set by transferOwnership until accepted
+    uint32 public topicCount; // Topic 0 is created at deploy time
+
+    // Paid from the contract balance to whoever advances a cycle or runs its analysis
+    uint256 public keeperBounty;
+
+    // Operational roles, so no single key runs every admin action. The owner
+    // manages admins; admins manage the other roles and global settings
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+    bytes32 public constant CYCLE_OPERATOR_ROLE = keccak256("CYCLE_OPERATOR_ROLE");
+    bytes32 public constant ANALYST_VERIFIER_ROLE = keccak256("ANALYST_VERIFIER_ROLE");
+    bytes32 public constant OUTCOME_REPORTER_ROLE = keccak256("OUTCOME_REPORTER_ROLE");
+
+    // Reputation change per scored prediction (score stays within 0-100)
+    uint8 constant REPUTATION_STEP = 5;
+
+    // How predictions reach the contract; lets clients pick the right submission flow
+    enum SubmissionMode {
+        Encrypted,     // FHE-encrypted inputs, aggregated without decryption
+        CommitReveal   // Hash commitment in the submission window, plaintext reveal afterwards
+    }
+
+    // How predictions are weighted when a cycle is aggregated
+    enum AggregationMode {
+        ConfidenceWeighted,   // Weight each prediction by the analyst's stated confidence
+        ReputationWeighted    // Weight each prediction by the analyst's reputation
+    }
+
+    // Lifecycle of a self-submitted analyst application
+    enum ApplicationStatus {
+        None,
+        Pending,
+        Approved,
+        Rejected
+    }
+
+    // Each topic forecasts one indicator with its own cycles, schedule and aggregates.
+    // Analysis time windows are in seconds; the topic defaults can be overridden
+    // per cycle in initiatePredictionCycle
+    struct Topic {
+        string name;
+        uint32 currentPredictionCycle;
+        uint256 cycleStartTime;
+        uint256 defaultSubmissionWindow;
+        uint256 defaultCycleDuration;
+        uint256 submissionWindow;
+        uint256 cycleDuration;
+        uint32 statisticsThreshold;
+        bool exists;
+    }
+
+    struct AnalystApplication {
+        string metadataURI;            // Off-chain profile (credentials, track record)
+        bytes32 metadataHash;          // Hash of the metadata document, if provided
+        ApplicationStatus status;
+        uint256 submittedAt;
+    }
+
+    // Internal: the auto-generated getter for Topic is too deep for the stack; use getTopic
+    mapping(uint32 => Topic) internal topics;
+    mapping(bytes32 => bool) public usedDataHashes;
+    mapping(uint32 => mapping(address => uint32[])) internal analystCycles;
+    mapping(bytes32 => mapping(address => bool)) private roles;
+
+    mapping(address => AnalystApplication) private analystApplications;
+    address[] private pendingApplicants;
+    mapping(address => uint256) private pendingApplicantIndex; // 1-based, 0 = not queued
+
+    // Every address that has ever been verified, in order of first verification.
+    // Revoked analysts stay listed so their history remains reachable. Paged reads and
+    // the dashboard rows built on it are served by TrendPredictorLens
+    address[] public registeredAnalysts;
+    mapping(address => bool) private isRegisteredAnalyst;
+
+    event TopicCreated(uint32 indexed topicId, string name, uint256 submissionWindow, uint256 cycleDuration);
+    event CycleInitiated(uint32 indexed topicId, uint32 indexed cycle, uint256 startTime);
+    event CycleSkipped(uint32 indexed topicId, uint32 indexed cycle, uint32 participantCount);
+    event CycleScheduleSet(uint32 indexed topicId, uint32 indexed cycle, uint256 submissionWindow, uint256 cycleDuration);
+    event TrendSubmitted(address indexed analyst, uint32 indexed topicId, uint32 indexed cycle, bytes32 dataHash);
+    event AnalysisCompleted(uint32 indexed topicId, uint32 indexed cycle, bytes32 resultHash, uint32 participantCount);
+    event ReputationUpdated(address indexed analyst);
+    event StatisticsThresholdUpdated(uint32 indexed topicId, uint32 threshold);
+    event AggregationModeUpdated(uint32 indexed topicId, uint32 indexed cycle, AggregationMode mode);
+    event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender);
+    event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender);
+    event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+    event OutcomeResolved(uint32 indexed topicId, uint32 indexed cycle, uint32 actualValue, uint32 tolerance);
+    event AccuracyScored(uint32 indexed topicId, uint32 indexed cycle, address indexed analyst, bool accurate);
+    event AnalystApplied(address indexed applicant, string metadataURI, bytes32 metadataHash);
+    event AnalystApplicationRejected(address indexed applicant);
+    event AnalystVerified(address indexed analyst);
+    event AnalystRevoked(address indexed analyst);
+    event KeeperBountyUpdated(uint256 bounty);
+    event KeeperBountyFunded(address indexed funder, uint256 amount);
+    event KeeperRewarded(address indexed keeper, uint256 amount);
+    event KeeperBountyWithdrawn(address indexed to, uint256 amount);
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Not authorized");
+        _;
+    }
+
+    // Modifier bodies live in functions so the check is not inlined at every use
+    modifier onlyRole(bytes32 _role) {
+        _checkRole(_role);
+        _;
+    }
+
+    modifier onlyExistingTopic(uint32 _topicId) {
+        _checkTopic(_topicId);
+        _;
+    }
+
+    modifier onlyDuringSubmissionWindow(uint32 _topicId) {
+        require(isSubmissionWindowActive(_topicId), "Submission window closed");
+        _;
+    }
+
+    modifier onlyDuringAnalysisWindow(uint32 _topicId) {
+        require(isAnalysisWindowActive(_topicId), "Analysis window not active");
+        _;
+    }
+
+    modifier onlyVerifiedAnalyst() {
+        _checkVerifiedAnalyst(msg.sender);
+        _;
+    }
+
+    constructor(uint256 _submissionWindow, uint256 _cycleDuration) {
+        owner = msg.sender;
+
+        // The deployer starts with every role and can hand them out afterwards
+        _grantRole(ADMIN_ROLE, msg.sender);
+        _grantRole(CYCLE_OPERATOR_ROLE, msg.sender);
+        _grantRole(ANALYST_VERIFIER_ROLE, msg.sender);
+        _grantRole(OUTCOME_REPORTER_ROLE, msg.sender);
+
+        _createTopic("General", _submissionWindow, _cycleDuration);
+    }
+
+    // How analysts submit predictions to this deployment
+    function submissionMode() external pure virtual returns (SubmissionMode);
+
+    function hasRole(bytes32 _role, address _account) public view returns (bool) {
+        return roles[_role][_account];
+    }
+
+    // Admins are managed by the owner, every other role by admins
+    function grantRole(bytes32 _role, address _account) external {
+        _checkRoleManager(_role);
+        _checkAccount(_account);
+        _grantRole(_role, _account);
+    }
+
+    function revokeRole(bytes32 _role, address _account) external {
+        _checkRoleManager(_role);
+        require(roles[_role][_account], "Role not granted");
+
+        roles[_role][_account] = false;
+
+        emit RoleRevoked(_role, _account, msg.sender);
+    }
+
+    // Give up a role held by the caller (e.g. after a key rotation)
+    function renounceRole(bytes32 _role) external {
+        require(roles[_role][msg.sender], "Role not granted");
+
+        roles[_role][msg.sender] = false;
+
+        emit RoleRevoked(_role, msg.sender, msg.sender);
+    }
+
+    function _checkRole(bytes32 _role) private view {
+        require(roles[_role][msg.sender], "Not authorized");
+    }
+
+    function _checkVerifiedAnalyst(address _analyst) internal view {
+        require(_isVerifiedAnalyst(_analyst), "Analyst not verified");
+    }
+
+    function _checkAccount(address _account) private pure {
+        require(_account != address(0), "Invalid account");
+    }
+
+    function _checkPendingApplication(address _applicant) private view {
+        require(analystApplications[_applicant].status == ApplicationStatus.Pending, "No pending application");
+    }
+
+    function _checkTopic(uint32 _topicId) private view {
+        require(topics[_topicId].exists, "Topic does not exist");
+    }
+
+    function _checkRoleManager(bytes32 _role) private view {
+        require(_role == ADMIN_ROLE || _role == CYCLE_OPERATOR_ROLE ||
+                _role == ANALYST_VERIFIER_ROLE || _role == OUTCOME_REPORTER_ROLE, "Unknown role");
+        require(_role == ADMIN_ROLE ? msg.sender == owner : roles[ADMIN_ROLE][msg.sender], "Not authorized");
+    }
+
+    function _grantRole(bytes32 _role, address _account) private {
+        if (roles[_role][_account]) return;
+
+        roles[_role][_account] = true;
+
+        emit RoleGranted(_role, _account, msg.sender);
+    }
+
+    // Start a two-step ownership transfer; the new owner must accept it
+    function transferOwnership(address _newOwner) external onlyOwner {
+        pendingOwner = _newOwner;
+
+        emit OwnershipTransferStarted(owner, _newOwner);
+    }
+
+    // Complete a transfer; roles are not moved, the new owner grants them as needed
+    function acceptOwnership() external {
+        require(msg.sender == pendingOwner, "Not pending owner");
+
+        address previousOwner = owner;
+        owner = msg.sender;
+        pendingOwner = address(0);
+
+        emit OwnershipTransferred(previousOwner, msg.sender);
+    }
+
+    // Create a new forecasting topic with its own default schedule
+    function createTopic(
+        string calldata _name,
+        uint256 _submissionWindow,
+        uint256 _cycleDuration
+    ) external onlyRole(ADMIN_ROLE) returns (uint32) {
+        require(bytes(_name).length > 0, "Topic name required");
+        return _createTopic(_name, _submissionWindow, _cycleDuration);
+    }
+
+    function _createTopic(
+        string memory _name,
+        uint256 _submissionWindow,
+        uint256 _cycleDuration
+    ) private returns (uint32 topicId) {
+        require(_submissionWindow > 0 && _submissionWindow < _cycleDuration, "Invalid durations");
+
+        topicId = topicCount++;
+        Topic storage topic = topics[topicId];
+        topic.name = _name;
+        topic.currentPredictionCycle = 1;
+        topic.defaultSubmissionWindow = _submissionWindow;
+        topic.defaultCycleDuration = _cycleDuration;
+        topic.exists = true;
+
+        emit TopicCreated(topicId, _name, _submissionWindow, _cycleDuration);
+
+        // Cycle 1 opens with the topic, the same way initiatePredictionCycle opens later ones
+        _startCycle(topicId, 1, _submissionWindow, _cycleDuration);
+    }
+
+    // Check if submission window is active (start of the cycle)
+    function isSubmissionWindowActive(uint32 _topicId) public view returns (bool) {
+        Topic storage topic = topics[_topicId];
+        if (!topic.exists) return false;
+        if (_isCycleEnded(_topicId, topic.currentPredictionCycle)) return false;
+        return block.timestamp < topic.cycleStartTime + topic.submissionWindow;
+    }
+
+    // Check if analysis window is active (after submission window)
+    function isAnalysisWindowActive(uint32 _topicId) public view returns (bool) {
+        Topic storage topic = topics[_topicId];
+        if (!topic.exists) return false;
+        if (_isCycleEnded(_topicId, topic.currentPredictionCycle)) return false;
+        return block.timestamp >= topic.cycleStartTime + topic.submissionWindow &&
+               block.timestamp < topic.cycleStartTime + topic.cycleDuration;
+    }
+
+    // Initialize new prediction cycle; pass 0 for either duration to use the topic default.
+    // Anyone may start the next cycle once the previous one has run its course; only
+    // cycle operators may restart the first cycle early or override the topic schedule
+    function initiatePredictionCycle(
+        uint32 _topicId,
+        uint256 _submissionWindow,
+        uint256 _cycleDuration
+    ) external onlyExistingTopic(_topicId) {
+        Topic storage topic = topics[_topicId];
+        uint32 currentPredictionCycle = topic.currentPredictionCycle;
+        bool cycleOver = block.timestamp >= topic.cycleStartTime + topic.cycleDuration;
+        require(cycleOver || (currentPredictionCycle == 1 && roles[CYCLE_OPERATOR_ROLE][msg.sender]),
+                "Previous cycle not completed");
+        require(roles[CYCLE_OPERATOR_ROLE][msg.sender] || (_submissionWindow == 0 && _cycleDuration == 0),
+                "Custom schedule requires operator");
+
+        uint256 newSubmissionWindow = _submissionWindow == 0 ? topic.defaultSubmissionWindow : _submissionWindow;
+        uint256 newCycleDuration = _cycleDuration == 0 ? topic.defaultCycleDuration : _cycleDuration;
+        require(newSubmissionWindow < newCycleDuration, "Invalid durations");
+
+        // A cycle that received predictions but was never analyzed is closed as skipped and
+        // the next cycle gets a new number, so re-opening never wipes anyone's submission.
+        // Only a cycle without predictions is reused
+        uint32 skippedParticipants = _participantCount(_topicId, currentPredictionCycle);
+        if (skippedParticipants > 0) {
+            _checkSkippable(_topicId, currentPredictionCycle);
+            emit CycleSkipped(_topicId, currentPredictionCycle, skippedParticipants);
+            currentPredictionCycle = ++topic.currentPredictionCycle;
+        }
+
+        _startCycle(_topicId, currentPredictionCycle, newSubmissionWindow, newCycleDuration);
+
+        // Only a cycle that has run its course is paid for; an early restart can be repeated
+        // at will, so paying it would let an operator drain the pool
+        if (cycleOver) {
+            _payKeeperBounty();
+        }
+    }
+
+    function _startCycle(uint32 _topicId, uint32 _cycle, uint256 _submissionWindow, uint256 _cycleDuration) private {
+        _openCycle(_topicId, _cycle, _submissionWindow, _cycleDuration);
+
+        Topic storage topic = topics[_topicId];
+        topic.cycleStartTime = block.timestamp;
+        topic.submissionWindow = _submissionWindow;
+        topic.cycleDuration = _cycleDuration;
+
+        emit CycleInitiated(_topicId, _cycle, block.timestamp);
+        emit CycleScheduleSet(_topicId, _cycle, _submissionWindow, _cycleDuration);
+    }
+
+    // Reward the caller for progressing a topic; skipped when the pool cannot cover it
+    function _payKeeperBounty() internal {
+        uint256 amount = keeperBounty;
+        if (amount == 0 || address(this).balance < amount) return;
+
+        (bool sent, ) = payable(msg.sender).call{value: amount}("");
+        require(sent, "Bounty transfer failed");
+
+        emit KeeperRewarded(msg.sender, amount);
+    }
+
+    // Tolerance band around an observed outcome, saturating at the uint32 bounds
+    function _toleranceBand(uint32 _actualValue, uint32 _tolerance) internal pure returns (uint32 lower, uint32 upper) {
+        lower = _actualValue > _tolerance ? _actualValue - _tolerance : 0;
+        upper = _tolerance > type(uint32).max - _actualValue
+            ? type(uint32).max
+            : _actualValue + _tolerance;
+    }
+
+    // Set the threshold used for above/below counts in future analyses of a topic
+    function setStatisticsThreshold(
+        uint32 _topicId,
+        uint32 _threshold
+    ) external onlyRole(CYCLE_OPERATOR_ROLE) onlyExistingTopic(_topicId) {
+        topics[_topicId].statisticsThreshold = _threshold;
+
+        emit StatisticsThresholdUpdated(_topicId, _threshold);
+    }
+
+    // Set the reward paid per cycle transition or analysis (0 disables it)
+    function setKeeperBounty(uint256 _bounty) external onlyRole(ADMIN_ROLE) {
+        keeperBounty = _bounty;
+
+        emit KeeperBountyUpdated(_bounty);
+    }
+
+    // Top up the pool keeper bounties are paid from
+    function fundKeeperBounty() external payable {
+        require(msg.value > 0, "No funds sent");
+
+        emit KeeperBountyFunded(msg.sender, msg.value);
+    }
+
+    // Take unpaid funds back out of the bounty pool
+    function withdrawKeeperBounty(address payable _to, uint256 _amount) external onlyRole(ADMIN_ROLE) {
+        _checkAccount(_to);
+        require(_amount > 0 && _amount <= address(this).balance, "Invalid amount");
+
+        (bool sent, ) = _to.call{value: _amount}("");
+        require(sent, "Withdrawal failed");
+
+        emit KeeperBountyWithdrawn(_to, _amount);
+    }
+
+    // Verify analyst (analyst verifiers only)
+    function verifyAnalyst(address _analyst) external onlyRole(ANALYST_VERIFIER_ROLE) {
+        _verifyAnalyst(_analyst);
+    }
+
+    function _verifyAnalyst(address _analyst) private {
+        require(_analyst != address(0), "Invalid analyst");
+
+        _setAnalystVerified(_analyst, true);
+
+        if (!isRegisteredAnalyst[_analyst]) {
+            isRegisteredAnalyst[_analyst] = true;
+            registeredAnalysts.push(_analyst);
+        }
+
+        // Direct verification also settles an open application
+        if (analystApplications[_analyst].status == ApplicationStatus.Pending) {
+            _dequeueApplicant(_analyst);
+            analystApplications[_analyst].status = ApplicationStatus.Approved;
+        }
+
+        emit AnalystVerified(_analyst);
+    }
+
+    // Remove an analyst's verification; their history and reputation are kept
+    function revokeAnalyst(address _analyst) external onlyRole(ANALYST_VERIFIER_ROLE) {
+        _checkVerifiedAnalyst(_analyst);
+
+        _revokeAnalyst(_analyst);
+    }
+
+    function _revokeAnalyst(address _analyst) private {
+        _setAnalystVerified(_analyst, false);
+
+        emit AnalystRevoked(_analyst);
+    }
+
+    // Verify a whole team at once; addresses that are already verified are skipped so
+    // their reputation is not reset
+    function verifyAnalysts(address[] calldata _analysts) external onlyRole(ANALYST_VERIFIER_ROLE) {
+        for (uint256 i = 0; i < _analysts.length; i++) {
+            if (!_isVerifiedAnalyst(_analysts[i])) {
+                _verifyAnalyst(_analysts[i]);
+            }
+        }
+    }
+
+    // Revoke several analysts at once; addresses that are not verified are skipped
+    function revokeAnalysts(address[] calldata _analysts) external onlyRole(ANALYST_VERIFIER_ROLE) {
+        for (uint256 i = 0; i < _analysts.length; i++) {
+            if (_isVerifiedAnalyst(_analysts[i])) {
+                _revokeAnalyst(_analysts[i]);
+            }
+        }
+    }
+
+    // Apply for verification with a pointer to off-chain credentials
+    function applyAsAnalyst(string calldata _metadataURI, bytes32 _metadataHash) external {
+        require(!_isVerifiedAnalyst(msg.sender), "Already verified");
+        require(analystApplications[msg.sender].status != ApplicationStatus.Pending, "Application pending");
+        require(bytes(_metadataURI).length > 0 || _metadataHash != bytes32(0), "Metadata required");
+
+        analystApplications[msg.sender] = AnalystApplication({
+            metadataURI: _metadataURI,
+            metadataHash: _metadataHash,
+            status: ApplicationStatus.Pending,
+            submittedAt: block.timestamp
+        });
+
+        pendingApplicants.push(msg.sender);
+        pendingApplicantIndex[msg.sender] = pendingApplicants.length;
+
+        emit AnalystApplied(msg.sender, _metadataURI, _metadataHash);
+    }
+
+    // Approve a pending application and verify the applicant
+    function approveApplication(address _applicant) external onlyRole(ANALYST_VERIFIER_ROLE) {
+        _checkPendingApplication(_applicant);
+
+        _verifyAnalyst(_applicant);
+    }
+
+    // Reject a pending application; the applicant may apply again
+    function rejectApplication(address _applicant) external onlyRole(ANALYST_VERIFIER_ROLE) {
+        _checkPendingApplication(_applicant);
+
+        _dequeueApplicant(_applicant);
+        analystApplications[_applicant].status = ApplicationStatus.Rejected;
+
+        emit AnalystApplicationRejected(_applicant);
+    }
+
+    // Swap-and-pop removal from the pending queue
+    function _dequeueApplicant(address _applicant) private {
+        uint256 index = pendingApplicantIndex[_applicant] - 1;
+        address last = pendingApplicants[pendingApplicants.length - 1];
+
+        pendingApplicants[index] = last;
+        pendingApplicantIndex[last] = index + 1;
+        pendingApplicants.pop();
+        delete pendingApplicantIndex[_applicant];
+    }
+
+    // Get topic information
+    function getTopic(uint32 _topicId) external view onlyExistingTopic(_topicId) returns (
+        string memory name,
+        uint32 currentPredictionCycle,
+        uint256 defaultSubmissionWindow,
+        uint256 defaultCycleDuration,
+        uint32 statisticsThreshold
+    ) {
+        Topic storage topic = topics[_topicId];
+        return (
+            topic.name,
+            topic.currentPredictionCycle,
+            topic.defaultSubmissionWindow,
+            topic.defaultCycleDuration,
+            topic.statisticsThreshold
+        );
+    }
+
+    // Get the active schedule (seconds) used by the window checks
+    function getCycleSchedule(uint32 _topicId) external view returns (
+        uint256 startTime,
+        uint256 submissionWindowDuration,
+        uint256 cycleDurationSeconds
+    ) {
+        Topic storage topic = topics[_topicId];
+        return (topic.cycleStartTime, topic.submissionWindow, topic.cycleDuration);
+    }
+
+    // Get an analyst application
+    function getApplication(address _applicant) external view returns (
+        string memory metadataURI,
+        bytes32 metadataHash,
+        ApplicationStatus status,
+        uint256 submittedAt
+    ) {
+        AnalystApplication storage application = analystApplications[_applicant];
+        return (
+            application.metadataURI,
+            application.metadataHash,
+            application.status,
+            application.submittedAt
+        );
+    }
+
+    // Get addresses with an application awaiting review
+    function getPendingApplications() external view returns (address[] memory) {
+        return pendingApplicants;
+    }
+
+    // Get the number of analysts in the registry
+    function getAnalystCount() external view returns (uint256) {
+        return registeredAnalysts.length;
+    }
+
+    // Get cycles of a topic an analyst has submitted predictions for
+    function getAnalystCycles(uint32 _topicId, address _analyst) external view returns (uint32[] memory) {
+        return analystCycles[_topicId][_analyst];
+    }
+
+    // Reset the cycle storage for a new run and close the cycle before it; only called for
+    // cycles without predictions
+    function _openCycle(uint32 _topicId, uint32 _cycle, uint256 _submissionWindow, uint256 _cycleDuration) internal virtual;
+
+    // Predictions received by a cycle
+    function _participantCount(uint32 _topicId, uint32 _cycle) internal view virtual returns (uint32);
+
+    function _isCycleEnded(uint32 _topicId, uint32 _cycle) internal view virtual returns (bool);
+
+    // Called before an unanalyzed cycle with predictions is skipped; reverts while its
+    // predictions can still be analyzed
+    function _checkSkippable(uint32 _topicId, uint32 _cycle) internal view virtual {}
+
+    function _isVerifiedAnalyst(address _analyst) internal view virtual returns (bool);
+
+    // Record (or clear) verification; a fresh verification starts the reputation at 50
+    function _setAnalystVerified(address _analyst, bool _verified) internal virtual;
+}
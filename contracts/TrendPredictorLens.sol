@@ -0,0 +1,112 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+// Read side shared by the FHE contract and the commit-reveal fallback
+interface ITrendPredictorReader {
+    function registeredAnalysts(uint256 _index) external view returns (address);
+    function getAnalystCount() external view returns (uint256);
+    function getAnalystCycles(uint32 _topicId, address _analyst) external view returns (uint32[] memory);
+    function getCycleSchedule(uint32 _topicId) external view returns (
+        uint256 startTime,
+        uint256 submissionWindowDuration,
+        uint256 cycleDurationSeconds
+    );
+    function isSubmissionWindowActive(uint32 _topicId) external view returns (bool);
+    function isAnalysisWindowActive(uint32 _topicId) external view returns (bool);
+    function getAnalystProfile(address _analyst) external view returns (
+        uint32 totalPredictions,
+        uint32 accurateCount,
+        bool isVerified,
+        uint256 lastSubmission
+    );
+    function getTopic(uint32 _topicId) external view returns (
+        string memory name,
+        uint32 currentPredictionCycle,
+        uint256 defaultSubmissionWindow,
+        uint256 defaultCycleDuration,
+        uint32 statisticsThreshold
+    );
+}
+
+// Dashboard and registry views composed from a predictor's own getters. They live here
+// so they don't count against the predictors' code size, and so a dashboard page is one
+// call instead of several per analyst. Stateless: one lens serves every deployment
+contract TrendPredictorLens {
+
+    struct AnalystRow {
+        address analyst;
+        bool isVerified;
+        uint32 totalPredictions;
+        uint32 accurateCount;
+        uint256 lastSubmission;
+        uint32 streak;                 // Consecutive cycles of the topic submitted to
+    }
+
+    // Get the number of analysts in the registry
+    function getAnalystCount(ITrendPredictorReader _predictor) external view returns (uint256) {
+        return _predictor.getAnalystCount();
+    }
+
+    // Get up to _limit registered analysts starting at _offset; returns fewer at the end of the list
+    function getAnalysts(
+        ITrendPredictorReader _predictor,
+        uint256 _offset,
+        uint256 _limit
+    ) public view returns (address[] memory page) {
+        uint256 total = _predictor.getAnalystCount();
+        if (_offset >= total) return page;
+
+        page = new address[](total - _offset < _limit ? total - _offset : _limit);
+        for (uint256 i = 0; i < page.length; i++) {
+            page[i] = _predictor.registeredAnalysts(_offset + i);
+        }
+    }
+
+    // Get a page of the owner dashboard: each analyst's profile and participation streak in a topic
+    function getAnalystRows(
+        ITrendPredictorReader _predictor,
+        uint32 _topicId,
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (AnalystRow[] memory rows) {
+        address[] memory analysts = getAnalysts(_predictor, _offset, _limit);
+        (, uint32 currentCycle, , , ) = _predictor.getTopic(_topicId);
+
+        rows = new AnalystRow[](analysts.length);
+        for (uint256 i = 0; i < analysts.length; i++) {
+            AnalystRow memory row = rows[i];
+            row.analyst = analysts[i];
+            (row.totalPredictions, row.accurateCount, row.isVerified, row.lastSubmission) =
+                _predictor.getAnalystProfile(analysts[i]);
+            row.streak = _streak(_predictor.getAnalystCycles(_topicId, analysts[i]), currentCycle);
+        }
+    }
+
+    // Consecutive cycles submitted to, counting back from the current cycle. A cycle that is
+    // still open does not break the streak until the analyst has had the chance to submit.
+    // Cycle numbers are recorded in ascending order
+    function _streak(uint32[] memory _cycles, uint32 _currentCycle) private pure returns (uint32 streak) {
+        uint256 i = _cycles.length;
+        if (i == 0) return 0;
+
+        uint32 cycle = _cycles[i - 1] == _currentCycle ? _currentCycle : _currentCycle - 1;
+        while (i > 0 && _cycles[i - 1] == cycle && cycle > 0) {
+            streak++;
+            cycle--;
+            i--;
+        }
+    }
+
+    // Get time remaining in the current window of a topic
+    function getTimeRemaining(
+        ITrendPredictorReader _predictor,
+        uint32 _topicId
+    ) external view returns (uint256 submissionTime, uint256 analysisTime) {
+        (uint256 startTime, uint256 submissionWindow, uint256 cycleDuration) = _predictor.getCycleSchedule(_topicId);
+        if (_predictor.isSubmissionWindowActive(_topicId)) {
+            submissionTime = (startTime + submissionWindow) - block.timestamp;
+        } else if (_predictor.isAnalysisWindowActive(_topicId)) {
+            analysisTime = (startTime + cycleDuration) - block.timestamp;
+        }
+    }
+}
@@ -0,0 +1,280 @@
+// Contract Error Decoding
+// Turns wallet, RPC and contract errors into a short message and a suggested next step
+class ContractErrorDecoder {
+    constructor() {
+        // Revert reasons raised by the contracts (and local errors the app throws), keyed by
+        // the exact require string or custom error name
+        this.knownErrors = {
+            // Analysts and submissions
+            'Analyst not verified': {
+                message: 'This account is not a verified analyst',
+                hint: 'Apply as an analyst and wait for a verifier to approve the application.'
+            },
+            'Submission window closed': {
+                message: 'The submission window for this cycle has closed',
+                hint: 'Wait for the next cycle to start.'
+            },
+            'Already submitted for this cycle': {
+                message: 'You have already submitted a prediction for this cycle',
+                hint: 'Each analyst can submit once per cycle.'
+            },
+            'Invalid data hash': {
+                message: 'The data hash is empty',
+                hint: 'Generate a data hash before submitting.'
+            },
+            'Data hash already used': {
+                message: 'This data hash has already been used',
+                hint: 'Generate a new data hash and submit again.'
+            },
+            'Confidence must be 0-100': {
+                message: 'Confidence must be between 0 and 100',
+                hint: 'Adjust the confidence slider and try again.'
+            },
+
+            // Commit-reveal
+            'Invalid commitment': {
+                message: 'The commitment is empty',
+                hint: 'Submit the prediction again to create a new commitment.'
+            },
+            'Commitment mismatch': {
+                message: 'The revealed values do not match your commitment',
+                hint: 'Reveal from the browser and account that made the commitment.'
+            },
+            'No prediction for this cycle': {
+                message: 'There is no prediction from this account in the cycle',
+                hint: 'Check that the right account and topic are selected.'
+            },
+            'Already revealed': {
+                message: 'This prediction has already been revealed',
+                hint: 'Nothing left to do until the analysis runs.'
+            },
+            'Reveal window still open': {
+                message: 'Some commitments have not been revealed yet',
+                hint: 'Wait for the remaining reveals or for the analysis window to end.'
+            },
+            'No revealed predictions': {
+                message: 'No predictions were revealed in this cycle',
+                hint: 'Start the next cycle instead.'
+            },
+            'Revealed predictions not analyzed': {
+                message: 'This cycle has revealed predictions that have not been analyzed',
+                hint: 'Run the analysis before starting the next cycle.'
+            },
+
+            // Cycles and analysis
+            'Analysis window not active': {
+                message: 'The analysis window is not open',
+                hint: 'Wait until the submission window closes, and act before the cycle ends.'
+            },
+            'Submission window still open': {
+                message: 'The submission window is still open',
+                hint: 'Wait until it closes before running the analysis.'
+            },
+            'No predictions to analyze': {
+                message: 'No predictions were submitted in this cycle',
+                hint: 'Start the next cycle instead.'
+            },
+            'Analysis already completed': {
+                message: 'This cycle has already been analyzed',
+                hint: 'Request the results or start the next cycle.'
+            },
+            'Analysis not completed': {
+                message: 'This cycle has not been analyzed yet',
+                hint: 'Run the analysis once the submission window has closed.'
+            },
+            'Previous cycle not completed': {
+                message: 'The current cycle has not ended yet',
+                hint: 'Wait until the cycle ends before starting the next one.'
+            },
+            'Custom schedule requires operator': {
+                message: 'Only cycle operators can set a custom schedule',
+                hint: 'Leave both durations at 0 to use the topic defaults.'
+            },
+            'Invalid durations': {
+                message: 'The submission window must be shorter than the cycle',
+                hint: 'Shorten the submission window or lengthen the cycle.'
+            },
+            'Topic does not exist': {
+                message: 'This topic does not exist',
+                hint: 'Pick a topic from the list.'
+            },
+            'Topic name required': {
+                message: 'The topic needs a name',
+                hint: 'Enter a name and try again.'
+            },
+            'Outcome already resolved': {
+                message: 'The outcome of this cycle has already been reported',
+                hint: 'Each cycle is scored once.'
+            },
+            'Outcome not resolved': {
+                message: 'The outcome of this cycle has not been reported yet',
+                hint: 'An outcome reporter must post the outcome before predictions are scored.'
+            },
+            'All predictions scored': {
+                message: 'Every prediction of this cycle has already been scored',
+                hint: 'Accuracy scores update once the oracle answers.'
+            },
+            'Unknown request': {
+                message: 'The decryption request is not known to the contract',
+                hint: 'Request the results again.'
+            },
+
+            // Roles, ownership and onboarding
+            'Not authorized': {
+                message: 'This account is not allowed to do that',
+                hint: 'Ask an admin to grant the required role.'
+            },
+            'Role not granted': {
+                message: 'The account does not hold that role',
+                hint: 'Refresh the page to see the current roles.'
+            },
+            'Unknown role': {
+                message: 'That role does not exist',
+                hint: 'Pick a role from the list.'
+            },
+            'Invalid account': {
+                message: 'The address is not valid',
+                hint: 'Enter a non-zero address.'
+            },
+            'Invalid analyst': {
+                message: 'The analyst address is not valid',
+                hint: 'Enter a non-zero address.'
+            },
+            'Not pending owner': {
+                message: 'Only the nominated owner can accept ownership',
+                hint: 'Switch to the nominated account in your wallet.'
+            },
+            'Already verified': {
+                message: 'This account is already a verified analyst',
+                hint: 'You can submit predictions right away.'
+            },
+            'Application pending': {
+                message: 'Your application is still under review',
+                hint: 'Wait for an analyst verifier to review it.'
+            },
+            'No pending application': {
+                message: 'There is no pending application for this address',
+                hint: 'Refresh the application list.'
+            },
+            'Metadata required': {
+                message: 'The application needs a profile link or hash',
+                hint: 'Fill in at least one of the two fields.'
+            },
+            'Score must be 0-100': {
+                message: 'Reputation must be between 0 and 100',
+                hint: 'Enter a score from 0 to 100.'
+            },
+
+            // Keeper bounty
+            'No funds sent': {
+                message: 'No funds were attached',
+                hint: 'Enter an amount to fund the bounty with.'
+            },
+            'Bounty transfer failed': {
+                message: 'The keeper bounty could not be paid out',
+                hint: 'Try again, or set the bounty to 0.'
+            },
+            'Invalid amount': {
+                message: 'The amount is more than the bounty pool holds',
+                hint: 'Enter an amount up to the current pool balance.'
+            },
+            'Withdrawal failed': {
+                message: 'The withdrawn funds could not be sent',
+                hint: 'Withdraw to an account that can receive ETH.'
+            },
+
+            // Raised by the app itself
+            'FHE relayer SDK not loaded': {
+                message: 'FHE encryption is unavailable',
+                hint: 'Reload the page.'
+            },
+            'FHE encryption is not available on this network': {
+                message: 'There is no FHEVM configuration for this network',
+                hint: 'Switch to Sepolia, or add an fhevmConfig to this chain\'s entry in deployments.json.'
+            }
+        };
+    }
+
+    // Returns { message, hint, reason } for any error thrown by ethers, the wallet or the app.
+    // Passing the contract interface also decodes custom errors.
+    decode(error, contractInterface = null) {
+        if (this.isUserRejection(error)) {
+            return { message: 'The request was rejected in your wallet', hint: null, reason: null };
+        }
+
+        if (error?.code === 'INSUFFICIENT_FUNDS' || /insufficient funds/i.test(error?.message || '')) {
+            return {
+                message: 'Not enough funds to pay for gas',
+                hint: 'Top up the connected account and try again.',
+                reason: null
+            };
+        }
+
+        if (error?.code === 'NETWORK_ERROR' || error?.code === 'TIMEOUT') {
+            return {
+                message: 'The network request failed',
+                hint: 'Check your connection and the wallet network, then try again.',
+                reason: null
+            };
+        }
+
+        const reason = this.getRevertReason(error, contractInterface);
+        if (reason !== null) {
+            const known = this.knownErrors[reason];
+            return known ? { ...known, reason } : { message: `The contract rejected the call: ${reason}`, hint: null, reason };
+        }
+
+        const known = this.knownErrors[error?.message];
+        if (known) {
+            return { ...known, reason: null };
+        }
+
+        return { message: this.shorten(error?.shortMessage || error?.message || String(error)), hint: null, reason: null };
+    }
+
+    // The require string or custom error name behind a revert, or null if there is none
+    getRevertReason(error, contractInterface = null) {
+        if (!error) return null;
+
+        // ethers decodes Error(string) and Panic(uint256) itself
+        if (error.reason) return error.reason;
+        if (error.revert?.name && error.revert.name !== 'Error') return error.revert.name;
+
+        const data = this.getRevertData(error);
+        if (data && contractInterface) {
+            try {
+                const parsed = contractInterface.parseError(data);
+                if (parsed) {
+                    return parsed.name === 'Error' ? parsed.args[0] : parsed.name;
+                }
+            } catch (parseError) {
+                // Not an error the interface knows about
+            }
+        }
+
+        // Some wallets only pass the reason along inside the message
+        const match = /reverted with reason string '([^']+)'|execution reverted: ([^"\n]+)/.exec(error.message || '');
+        if (match) return (match[1] || match[2]).trim();
+
+        return null;
+    }
+
+    getRevertData(error) {
+        // Wallets nest the revert data at different depths
+        const candidates = [error.data, error.info?.error?.data, error.error?.data, error.info?.error?.data?.data];
+        return candidates.find(data => typeof data === 'string' && data.startsWith('0x') && data.length >= 10) || null;
+    }
+
+    isUserRejection(error) {
+        return error?.code === 'ACTION_REJECTED' ||
+            error?.code === 4001 ||
+            error?.info?.error?.code === 4001 ||
+            /user rejected|user denied/i.test(error?.message || '');
+    }
+
+    shorten(message) {
+        // RPC errors embed the full request and response; keep the first line only
+        const firstLine = message.split('\n')[0].replace(/\s*\(action=.*$/, '');
+        return firstLine.length > 160 ? `${firstLine.slice(0, 157)}...` : firstLine;
+    }
+}
@@ -1,54 +1,93 @@
-const { ethers } = require("hardhat");
-
-async function main() {
-  console.log("Deploying PrivacyTrendPredictor contract...");
-
-  // Get the ContractFactory and Signers here.
-  const [deployer] = await ethers.getSigners();
-
-  console.log("Deploying contracts with the account:", deployer.address);
-  console.log("Account balance:", (await ethers.provider.getBalance(deployer.address)).toString());
-
-  // Deploy the contract
-  const PrivacyTrendPredictor = await ethers.getContractFactory("PrivacyTrendPredictor");
-  const contract = await PrivacyTrendPredictor.deploy();
-
-  await contract.waitForDeployment();
-
-  const contractAddress = await contract.getAddress();
-  console.log("PrivacyTrendPredictor deployed to:", contractAddress);
-
-  // Initialize the first prediction cycle
-  console.log("Initializing first prediction cycle...");
-  const initTx = await contract.initiatePredictionCycle();
-  await initTx.wait();
-  console.log("First prediction cycle initialized");
-
-  console.log("\n=== Deployment Summary ===");
-  console.log("Contract Address:", contractAddress);
-  console.log("Deployer:", deployer.address);
-  console.log("Network:", network.name);
-
-  // Save deployment info
-  const fs = require('fs');
-  const deploymentInfo = {
-    contractAddress: contractAddress,
-    deployer: deployer.address,
-    network: network.name,
-    deploymentTime: new Date().toISOString(),
-    transactionHash: contract.deploymentTransaction()?.hash
-  };
-
-  fs.writeFileSync(
-    'deployment.json',
-    JSON.stringify(deploymentInfo, null, 2)
-  );
-  console.log("Deployment info saved to deployment.json");
-}
-
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error(error);
-    process.exit(1);
+const { ethers } = require("hardhat");
+
+// SUBMISSION_MODE=commit-reveal deploys the fallback for networks without FHE support
+// (including a plain local Hardhat node); the default deploys the FHE contract
+const contractName = process.env.SUBMISSION_MODE === "commit-reveal"
+  ? "PrivacyTrendPredictorCommitReveal"
+  : "PrivacyTrendPredictor";
+
+async function main() {
+  console.log(`Deploying ${contractName} contract...`);
+
+  // Get the ContractFactory and Signers here.
+  const [deployer] = await ethers.getSigners();
+
+  console.log("Deploying contracts with the account:", deployer.address);
+  console.log("Account balance:", (await ethers.provider.getBalance(deployer.address)).toString());
+
+  // Default cycle schedule in seconds (6h submission window, 24h cycle)
+  const submissionWindow = Number(process.env.SUBMISSION_WINDOW || 21600);
+  const cycleDuration = Number(process.env.CYCLE_DURATION || 86400);
+  console.log(`Cycle schedule: ${submissionWindow}s submission window, ${cycleDuration}s cycle`);
+
+  // Deploy the contract
+  const PrivacyTrendPredictor = await ethers.getContractFactory(contractName);
+  const contract = await PrivacyTrendPredictor.deploy(submissionWindow, cycleDuration);
+
+  await contract.waitForDeployment();
+
+  const contractAddress = await contract.getAddress();
+  console.log(`${contractName} deployed to:`, contractAddress);
+
+  // The default topic (topic 0) opens its first prediction cycle in the constructor
+  console.log("First prediction cycle of the default topic is open");
+
+  // Read-only views for the analyst dashboard, usable with either variant
+  const TrendPredictorLens = await ethers.getContractFactory("TrendPredictorLens");
+  const lens = await TrendPredictorLens.deploy();
+  await lens.waitForDeployment();
+  const lensAddress = await lens.getAddress();
+  console.log("TrendPredictorLens deployed to:", lensAddress);
+
+  console.log("\n=== Deployment Summary ===");
+  console.log("Contract Address:", contractAddress);
+  console.log("Lens Address:", lensAddress);
+  console.log("Deployer:", deployer.address);
+  console.log("Network:", network.name);
+
+  // Save deployment info
+  const fs = require('fs');
+  const deploymentInfo = {
+    contractAddress: contractAddress,
+    contractName,
+    lensAddress,
+    deployer: deployer.address,
+    network: network.name,
+    submissionWindow,
+    cycleDuration,
+    deploymentTime: new Date().toISOString(),
+    transactionHash: contract.deploymentTransaction()?.hash
+  };
+
+  fs.writeFileSync(
+    'deployment.json',
+    JSON.stringify(deploymentInfo, null, 2)
+  );
+  console.log("Deployment info saved to deployment.json");
+
+  // Register the address for this chain so the frontend picks it up; the in-process
+  // hardhat network disappears with this script, so it is never registered
+  if (network.name !== "hardhat") {
+    const { chainId } = await ethers.provider.getNetwork();
+    for (const registryPath of ["deployments.json", "public/deployments.json"]) {
+      const registry = fs.existsSync(registryPath) ? JSON.parse(fs.readFileSync(registryPath, "utf8")) : {};
+      registry[chainId.toString()] = {
+        contractAddress,
+        contractName,
+        lensAddress,
+        network: network.name,
+        deploymentTime: deploymentInfo.deploymentTime,
+        transactionHash: deploymentInfo.transactionHash
+      };
+      fs.writeFileSync(registryPath, JSON.stringify(registry, null, 2) + "\n");
+    }
+    console.log(`Registered for chain ${chainId} in deployments.json`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
   });
\ No newline at end of file
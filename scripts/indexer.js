@@ -0,0 +1,393 @@
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const http = require("http");
+
+// Indexes cycle, submission and analyst events into a JSON file and serves them over a
+// small read-only REST API, so clients don't need one RPC call per cycle.
+//
+//   npx hardhat run scripts/indexer.js --network localhost
+//
+// The contract is looked up for the connected chain in deployments.json, falling back to the
+// latest run in deployment.json. CONTRACT_ADDRESS overrides the address, INDEXER_PORT sets the API
+// port (8787), INDEXER_DB the JSON file (indexer-data.json), INDEXER_START_BLOCK the first
+// block to scan, INDEXER_INTERVAL the poll interval in seconds and INDEXER_CONFIRMATIONS
+// how many blocks to stay behind the head.
+//
+//   GET /health                                   indexed contract and block
+//   GET /topics/:topicId/cycles[?completed=true]  cycles, newest first
+//   GET /topics/:topicId/cycles/:cycle            one cycle with its submissions
+//   GET /topics/:topicId/cycles/:cycle/submissions
+//   GET /analysts/:address[?topicId=n]            submissions, scores and reputation updates
+
+const port = Number(process.env.INDEXER_PORT || 8787);
+const dbPath = process.env.INDEXER_DB || "indexer-data.json";
+const pollInterval = Number(process.env.INDEXER_INTERVAL || 15) * 1000;
+const confirmations = Number(process.env.INDEXER_CONFIRMATIONS || 2);
+const blockRange = 2000; // Blocks per getLogs request, within common provider limits
+
+const INDEXED_EVENTS = [
+  "TopicCreated",
+  "CycleInitiated",
+  "CycleSkipped",
+  "CycleScheduleSet",
+  "TrendSubmitted",
+  "AnalysisCompleted",
+  "OutcomeResolved",
+  "AccuracyScored",
+  "ReputationUpdated"
+];
+
+// TrendPredictorBase.SubmissionMode
+const COMMIT_REVEAL = 1n;
+
+async function getDeployment() {
+  const { chainId } = await ethers.provider.getNetwork();
+  if (fs.existsSync("deployments.json")) {
+    const registry = JSON.parse(fs.readFileSync("deployments.json", "utf8"));
+    if (registry[chainId.toString()]) return registry[chainId.toString()];
+  }
+  if (fs.existsSync("deployment.json")) {
+    return JSON.parse(fs.readFileSync("deployment.json", "utf8"));
+  }
+  return {};
+}
+
+function getContractAddress(deployment) {
+  const address = process.env.CONTRACT_ADDRESS || deployment.contractAddress;
+  if (!address) {
+    throw new Error("Set CONTRACT_ADDRESS or run scripts/deploy.js first");
+  }
+  return address;
+}
+
+// Events are decoded with the ABI of the variant at the address: the recorded contract
+// name when the deployment matches, otherwise the mode the contract reports
+async function getContractName(deployment, contractAddress) {
+  if (deployment.contractName && deployment.contractAddress?.toLowerCase() === contractAddress.toLowerCase()) {
+    return deployment.contractName;
+  }
+  const contract = await ethers.getContractAt("PrivacyTrendPredictor", contractAddress);
+  return (await contract.submissionMode()) === COMMIT_REVEAL
+    ? "PrivacyTrendPredictorCommitReveal"
+    : "PrivacyTrendPredictor";
+}
+
+function loadStore(contractAddress) {
+  if (fs.existsSync(dbPath)) {
+    const store = JSON.parse(fs.readFileSync(dbPath, "utf8"));
+    if (store.contractAddress.toLowerCase() === contractAddress.toLowerCase()) {
+      return store;
+    }
+    console.warn(`${dbPath} belongs to ${store.contractAddress}, starting a fresh index`);
+  }
+
+  return {
+    contractAddress,
+    lastBlock: null,
+    topics: {},
+    cycles: {},
+    submissions: [],
+    analysts: {}
+  };
+}
+
+function saveStore(store) {
+  // Write then rename so a crash never leaves a truncated file behind
+  fs.writeFileSync(`${dbPath}.tmp`, JSON.stringify(store));
+  fs.renameSync(`${dbPath}.tmp`, dbPath);
+}
+
+function cycleKey(topicId, cycle) {
+  return `${topicId}:${cycle}`;
+}
+
+function getCycle(store, topicId, cycle) {
+  const key = cycleKey(topicId, cycle);
+  if (!store.cycles[key]) {
+    store.cycles[key] = {
+      topicId,
+      cycle,
+      startTime: null,
+      submissionWindow: null,
+      cycleDuration: null,
+      participantCount: 0,
+      analysisCompleted: false,
+      skipped: false,
+      resultHash: null,
+      completedAt: null,
+      outcome: null
+    };
+  }
+  return store.cycles[key];
+}
+
+function emptyAnalyst(address) {
+  return {
+    address,
+    submissionCount: 0,
+    scoredCount: 0,
+    accurateCount: 0,
+    reputationUpdates: [],
+    scores: [],
+    lastActivity: null
+  };
+}
+
+function getAnalyst(store, address) {
+  const key = address.toLowerCase();
+  if (!store.analysts[key]) {
+    store.analysts[key] = emptyAnalyst(address);
+  }
+  return store.analysts[key];
+}
+
+function applyEvent(store, event, log, timestamp) {
+  const args = event.args;
+  const location = { blockNumber: log.blockNumber, transactionHash: log.transactionHash, timestamp };
+
+  switch (event.name) {
+    case "TopicCreated":
+      store.topics[args.topicId] = { topicId: Number(args.topicId), name: args.name, ...location };
+      break;
+
+    case "CycleInitiated":
+      // Only a cycle without predictions is ever re-initiated, so there is nothing to drop
+      getCycle(store, Number(args.topicId), Number(args.cycle)).startTime = Number(args.startTime);
+      break;
+
+    case "CycleSkipped":
+      // Closed without analysis; its submissions stay on record
+      getCycle(store, Number(args.topicId), Number(args.cycle)).skipped = true;
+      break;
+
+    case "CycleScheduleSet": {
+      const entry = getCycle(store, Number(args.topicId), Number(args.cycle));
+      entry.submissionWindow = Number(args.submissionWindow);
+      entry.cycleDuration = Number(args.cycleDuration);
+      break;
+    }
+
+    case "TrendSubmitted": {
+      const submission = {
+        topicId: Number(args.topicId),
+        cycle: Number(args.cycle),
+        analyst: args.analyst,
+        dataHash: args.dataHash,
+        ...location
+      };
+      store.submissions.push(submission);
+      getCycle(store, submission.topicId, submission.cycle).participantCount++;
+
+      const analyst = getAnalyst(store, args.analyst);
+      analyst.submissionCount++;
+      analyst.lastActivity = timestamp;
+      break;
+    }
+
+    case "AnalysisCompleted": {
+      const entry = getCycle(store, Number(args.topicId), Number(args.cycle));
+      entry.analysisCompleted = true;
+      entry.resultHash = args.resultHash;
+      entry.participantCount = Number(args.participantCount);
+      entry.completedAt = timestamp;
+      break;
+    }
+
+    case "OutcomeResolved":
+      getCycle(store, Number(args.topicId), Number(args.cycle)).outcome = {
+        actualValue: Number(args.actualValue),
+        tolerance: Number(args.tolerance)
+      };
+      break;
+
+    case "AccuracyScored": {
+      const analyst = getAnalyst(store, args.analyst);
+      analyst.scoredCount++;
+      if (args.accurate) analyst.accurateCount++;
+      analyst.scores.push({
+        topicId: Number(args.topicId),
+        cycle: Number(args.cycle),
+        accurate: args.accurate,
+        ...location
+      });
+      analyst.lastActivity = timestamp;
+      break;
+    }
+
+    case "ReputationUpdated": {
+      // The score itself may be encrypted, only the fact that it moved is public
+      const analyst = getAnalyst(store, args.analyst);
+      analyst.reputationUpdates.push(location);
+      analyst.lastActivity = timestamp;
+      break;
+    }
+  }
+}
+
+async function syncOnce(contract, store, startBlock) {
+  const head = (await ethers.provider.getBlockNumber()) - confirmations;
+  let fromBlock = store.lastBlock === null ? startBlock : store.lastBlock + 1;
+  if (fromBlock > head) return;
+
+  const topicHashes = INDEXED_EVENTS.map((name) => contract.interface.getEvent(name).topicHash);
+
+  while (fromBlock <= head) {
+    const toBlock = Math.min(fromBlock + blockRange - 1, head);
+
+    // One request for every indexed event in the range, already in chain order
+    const logs = await ethers.provider.getLogs({
+      address: store.contractAddress,
+      topics: [topicHashes],
+      fromBlock,
+      toBlock
+    });
+
+    const timestamps = new Map();
+    for (const log of logs) {
+      if (!timestamps.has(log.blockNumber)) {
+        const block = await ethers.provider.getBlock(log.blockNumber);
+        timestamps.set(log.blockNumber, block.timestamp);
+      }
+
+      applyEvent(store, contract.interface.parseLog(log), log, timestamps.get(log.blockNumber));
+    }
+
+    store.lastBlock = toBlock;
+    saveStore(store);
+
+    if (logs.length > 0) {
+      console.log(`Indexed ${logs.length} events in blocks ${fromBlock}-${toBlock}`);
+    }
+    fromBlock = toBlock + 1;
+  }
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*"
+  });
+  res.end(JSON.stringify(body));
+}
+
+function cyclesOf(store, topicId) {
+  return Object.values(store.cycles)
+    .filter((c) => c.topicId === topicId)
+    .sort((a, b) => b.cycle - a.cycle);
+}
+
+function submissionsOf(store, topicId, cycle) {
+  return store.submissions.filter((s) => s.topicId === topicId && s.cycle === cycle);
+}
+
+function handleRequest(store, req, res) {
+  const url = new URL(req.url, "http://localhost");
+  const parts = url.pathname.split("/").filter(Boolean);
+
+  if (req.method !== "GET") {
+    return sendJson(res, 405, { error: "Method not allowed" });
+  }
+
+  if (parts.length === 1 && parts[0] === "health") {
+    return sendJson(res, 200, { contractAddress: store.contractAddress, lastBlock: store.lastBlock });
+  }
+
+  if (parts[0] === "topics" && parts[2] === "cycles" && /^\d+$/.test(parts[1])) {
+    const topicId = Number(parts[1]);
+
+    if (parts.length === 3) {
+      const completedOnly = url.searchParams.get("completed") === "true";
+      const cycles = cyclesOf(store, topicId).filter((c) => !completedOnly || c.analysisCompleted);
+      return sendJson(res, 200, { topicId, cycles });
+    }
+
+    if (/^\d+$/.test(parts[3])) {
+      const cycle = Number(parts[3]);
+      const entry = store.cycles[cycleKey(topicId, cycle)];
+      if (!entry) {
+        return sendJson(res, 404, { error: "Cycle not indexed" });
+      }
+
+      const submissions = submissionsOf(store, topicId, cycle);
+      if (parts.length === 4) {
+        return sendJson(res, 200, { ...entry, submissions });
+      }
+      if (parts.length === 5 && parts[4] === "submissions") {
+        return sendJson(res, 200, { topicId, cycle, submissions });
+      }
+    }
+  }
+
+  if (parts[0] === "analysts" && parts.length === 2) {
+    if (!ethers.isAddress(parts[1])) {
+      return sendJson(res, 400, { error: "Invalid address" });
+    }
+
+    const address = parts[1].toLowerCase();
+    const topicParam = url.searchParams.get("topicId");
+    const topicId = topicParam === null ? null : Number(topicParam);
+    const analyst = store.analysts[address] || emptyAnalyst(ethers.getAddress(address));
+    const submissions = store.submissions.filter((s) =>
+      s.analyst.toLowerCase() === address && (topicId === null || s.topicId === topicId));
+
+    return sendJson(res, 200, {
+      ...analyst,
+      scores: analyst.scores.filter((s) => topicId === null || s.topicId === topicId),
+      submissions
+    });
+  }
+
+  return sendJson(res, 404, { error: "Not found" });
+}
+
+async function main() {
+  const deployment = await getDeployment();
+  const contractAddress = getContractAddress(deployment);
+  const contractName = await getContractName(deployment, contractAddress);
+  const contract = await ethers.getContractAt(contractName, contractAddress);
+  const store = loadStore(contractAddress);
+
+  // Default to the deployment block so a fresh index doesn't scan the whole chain
+  let startBlock = Number(process.env.INDEXER_START_BLOCK || 0);
+  if (!process.env.INDEXER_START_BLOCK && deployment.transactionHash &&
+      deployment.contractAddress?.toLowerCase() === contractAddress.toLowerCase()) {
+    const receipt = await ethers.provider.getTransactionReceipt(deployment.transactionHash);
+    if (receipt) startBlock = receipt.blockNumber;
+  }
+
+  console.log(`Indexing ${contractName} at:`, contractAddress);
+  console.log(`Resuming after block ${store.lastBlock ?? startBlock - 1}, writing to ${dbPath}`);
+
+  const server = http.createServer((req, res) => {
+    try {
+      handleRequest(store, req, res);
+    } catch (error) {
+      console.error("Request failed:", error);
+      sendJson(res, 500, { error: "Internal error" });
+    }
+  });
+  server.listen(port, () => console.log(`API listening on http://localhost:${port}`));
+
+  let stopped = false;
+  process.on("SIGINT", () => {
+    console.log("\nStopping indexer...");
+    stopped = true;
+    server.close();
+  });
+
+  while (!stopped) {
+    try {
+      await syncOnce(contract, store, startBlock);
+    } catch (error) {
+      console.error("Sync failed:", error.shortMessage || error.message);
+    }
+    await new Promise((resolve) => setTimeout(resolve, pollInterval));
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,123 @@
+const { ethers } = require("hardhat");
+const fs = require("fs");
+
+// Keeps every topic moving without the owner: runs the confidential analysis as soon as
+// the analysis window opens and starts the next cycle once the current one has ended.
+//
+//   npx hardhat node
+//   npx hardhat run scripts/deploy.js --network localhost
+//   npx hardhat run scripts/keeper.js --network localhost
+//
+// The contract is looked up for the connected chain in deployments.json, falling back to the
+// latest run in deployment.json. CONTRACT_ADDRESS overrides the address, KEEPER_INTERVAL sets
+// the poll interval in seconds and KEEPER_ONCE=1 runs a single pass (e.g. from cron).
+//
+// Commit-reveal deployments are analyzed once every commitment is revealed, or after
+// the analysis window with whatever was revealed, instead of as soon as it opens.
+
+const pollInterval = Number(process.env.KEEPER_INTERVAL || 15) * 1000;
+const runOnce = process.env.KEEPER_ONCE === "1";
+
+// TrendPredictorBase.SubmissionMode
+const COMMIT_REVEAL = 1n;
+
+async function getContractAddress() {
+  if (process.env.CONTRACT_ADDRESS) {
+    return process.env.CONTRACT_ADDRESS;
+  }
+  const { chainId } = await ethers.provider.getNetwork();
+  if (fs.existsSync("deployments.json")) {
+    const registry = JSON.parse(fs.readFileSync("deployments.json", "utf8"));
+    if (registry[chainId.toString()]) return registry[chainId.toString()].contractAddress;
+  }
+  if (fs.existsSync("deployment.json")) {
+    return JSON.parse(fs.readFileSync("deployment.json", "utf8")).contractAddress;
+  }
+  throw new Error("Set CONTRACT_ADDRESS or run scripts/deploy.js first");
+}
+
+async function send(contract, label, sendTx) {
+  try {
+    const tx = await sendTx();
+    console.log(`${label} (tx ${tx.hash})`);
+    const receipt = await tx.wait();
+
+    const reward = receipt.logs
+      .map((log) => { try { return contract.interface.parseLog(log); } catch { return null; } })
+      .find((event) => event && event.name === "KeeperRewarded");
+    if (reward) {
+      console.log(`  bounty received: ${ethers.formatEther(reward.args.amount)} ETH`);
+    }
+  } catch (error) {
+    // Another keeper may have won the race; the next pass re-reads the state
+    console.warn(`${label} failed: ${error.shortMessage || error.message}`);
+  }
+}
+
+async function isReadyForAnalysis(contract, commitReveal, topicId, info, cycleOver) {
+  if (info.analysisCompleted || info.participantCount === 0n) return false;
+  if (!commitReveal) return info.analysisWindowActive;
+
+  const [committed, revealed] = await contract.getRevealStatus(topicId, info.cycle);
+  return revealed > 0n && (cycleOver || (info.analysisWindowActive && revealed === committed));
+}
+
+async function checkTopic(contract, commitReveal, topicId) {
+  const info = await contract.getCurrentCycleInfo(topicId);
+  const cycleOver = !info.submissionWindowActive && !info.analysisWindowActive;
+
+  if (await isReadyForAnalysis(contract, commitReveal, topicId, info, cycleOver)) {
+    await send(
+      contract,
+      `Topic ${topicId}: analyzing cycle ${info.cycle} (${info.participantCount} predictions)`,
+      () => contract.performConfidentialAnalysis(topicId)
+    );
+  } else if (cycleOver) {
+    // A cycle whose predictions missed the analysis is skipped and the next number opened
+    const label = info.participantCount > 0n && !info.analysisCompleted
+      ? `Topic ${topicId}: skipping unanalyzed cycle ${info.cycle} and starting cycle ${info.cycle + 1n}`
+      : `Topic ${topicId}: starting cycle ${info.cycle}`;
+    await send(contract, label, () => contract.initiatePredictionCycle(topicId, 0, 0));
+  }
+}
+
+async function main() {
+  const [keeper] = await ethers.getSigners();
+  const contractAddress = await getContractAddress();
+  let contract = await ethers.getContractAt("PrivacyTrendPredictor", contractAddress, keeper);
+  const commitReveal = (await contract.submissionMode()) === COMMIT_REVEAL;
+  if (commitReveal) {
+    contract = await ethers.getContractAt("PrivacyTrendPredictorCommitReveal", contractAddress, keeper);
+  }
+
+  console.log("Keeper account:", keeper.address);
+  console.log(`Watching ${commitReveal ? "PrivacyTrendPredictorCommitReveal" : "PrivacyTrendPredictor"} at:`, contractAddress);
+  console.log("Keeper bounty:", ethers.formatEther(await contract.keeperBounty()), "ETH");
+
+  let stopped = false;
+  process.on("SIGINT", () => {
+    console.log("\nStopping keeper...");
+    stopped = true;
+  });
+
+  while (!stopped) {
+    try {
+      const topicCount = Number(await contract.topicCount());
+      for (let topicId = 0; topicId < topicCount && !stopped; topicId++) {
+        await checkTopic(contract, commitReveal, topicId);
+      }
+    } catch (error) {
+      console.error("Keeper pass failed:", error.shortMessage || error.message);
+    }
+
+    if (runOnce) break;
+    await new Promise((resolve) => setTimeout(resolve, pollInterval));
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,774 @@
+const { expect } = require("chai");
+const { ethers, fhevm } = require("hardhat");
+const { FhevmType } = require("@fhevm/hardhat-plugin");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+
+const SUBMISSION_WINDOW = 3600; // 1 hour
+const CYCLE_DURATION = 7200; // 2 hours
+const TOPIC = 0;
+
+describe("PrivacyTrendPredictor", function () {
+  let contract, contractAddress, owner, analyst1, analyst2, analyst3, outsider;
+
+  async function increaseTime(seconds) {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine", []);
+  }
+
+  function randomHash() {
+    return ethers.hexlify(ethers.randomBytes(32));
+  }
+
+  async function submit(analyst, value, confidence, dataHash = randomHash()) {
+    const input = fhevm.createEncryptedInput(contractAddress, analyst.address);
+    input.add32(value);
+    input.add8(confidence);
+    const encrypted = await input.encrypt();
+
+    return contract.connect(analyst).submitTrendPrediction(
+      TOPIC,
+      encrypted.handles[0],
+      encrypted.handles[1],
+      encrypted.inputProof,
+      dataHash
+    );
+  }
+
+  async function decrypt32(handle, signer) {
+    return fhevm.userDecryptEuint(FhevmType.euint32, handle, contractAddress, signer);
+  }
+
+  async function decrypt8(handle, signer) {
+    return fhevm.userDecryptEuint(FhevmType.euint8, handle, contractAddress, signer);
+  }
+
+  async function decrypt64(handle, signer) {
+    return fhevm.userDecryptEuint(FhevmType.euint64, handle, contractAddress, signer);
+  }
+
+  // Divide the decrypted weighted sum by the weight total, as the frontend does
+  async function weightedTrend(signer, cycle = 1) {
+    const [weightedTrendSum, totalWeight] = await contract.getEncryptedResult(TOPIC, cycle);
+    return (await decrypt64(weightedTrendSum, signer)) / (await decrypt32(totalWeight, signer));
+  }
+
+  beforeEach(async function () {
+    if (!fhevm.isMock) {
+      this.skip(); // Mock decryption is only available on the local Hardhat network
+    }
+
+    [owner, analyst1, analyst2, analyst3, outsider] = await ethers.getSigners();
+
+    const PrivacyTrendPredictor = await ethers.getContractFactory("PrivacyTrendPredictor");
+    contract = await PrivacyTrendPredictor.deploy(SUBMISSION_WINDOW, CYCLE_DURATION);
+    await contract.waitForDeployment();
+    contractAddress = await contract.getAddress();
+
+    await fhevm.assertCoprocessorInitialized(contract, "PrivacyTrendPredictor");
+  });
+
+  describe("verifyAnalyst", function () {
+    it("marks the analyst verified with an encrypted starting reputation", async function () {
+      await contract.verifyAnalyst(analyst1.address);
+
+      const profile = await contract.getAnalystProfile(analyst1.address);
+      expect(profile.isVerified).to.be.true;
+
+      const reputation = await contract.getEncryptedReputation(analyst1.address);
+      expect(await decrypt8(reputation, analyst1)).to.equal(50n);
+    });
+
+    it("can only be called by the owner", async function () {
+      await expect(contract.connect(analyst1).verifyAnalyst(analyst1.address))
+        .to.be.revertedWith("Not authorized");
+    });
+
+    it("rejects predictions from unverified analysts", async function () {
+      await expect(submit(analyst1, 1000, 80)).to.be.revertedWith("Analyst not verified");
+    });
+
+    it("can be revoked by the owner", async function () {
+      await contract.verifyAnalyst(analyst1.address);
+
+      await expect(contract.revokeAnalyst(analyst1.address))
+        .to.emit(contract, "AnalystRevoked")
+        .withArgs(analyst1.address);
+      expect((await contract.getAnalystProfile(analyst1.address)).isVerified).to.be.false;
+      await expect(submit(analyst1, 1000, 80)).to.be.revertedWith("Analyst not verified");
+    });
+  });
+
+  describe("batch verification", function () {
+    it("verifies a list of analysts and skips those already verified", async function () {
+      await contract.verifyAnalyst(analyst1.address);
+      await contract.updateAnalystReputation(analyst1.address, 80);
+
+      await expect(contract.verifyAnalysts([analyst1.address, analyst2.address, analyst3.address]))
+        .to.emit(contract, "AnalystVerified").withArgs(analyst2.address)
+        .and.to.emit(contract, "AnalystVerified").withArgs(analyst3.address);
+
+      expect((await contract.getAnalystProfile(analyst2.address)).isVerified).to.be.true;
+      expect((await contract.getAnalystProfile(analyst3.address)).isVerified).to.be.true;
+
+      // Skipped, so the earned reputation is not reset to 50
+      const reputation = await contract.getEncryptedReputation(analyst1.address);
+      expect(await decrypt8(reputation, analyst1)).to.equal(80n);
+    });
+
+    // The batch import rejects the zero address before sending, since it fails the whole batch
+    it("rejects a batch containing the zero address", async function () {
+      await expect(contract.verifyAnalysts([analyst2.address, ethers.ZeroAddress]))
+        .to.be.revertedWith("Invalid analyst");
+    });
+
+    it("revokes a list of analysts and skips those not verified", async function () {
+      await contract.verifyAnalysts([analyst1.address, analyst2.address]);
+
+      const tx = await contract.revokeAnalysts([analyst1.address, analyst2.address, outsider.address]);
+      const revoked = (await tx.wait()).logs
+        .map((log) => contract.interface.parseLog(log))
+        .filter((event) => event?.name === "AnalystRevoked")
+        .map((event) => event.args.analyst);
+      expect(revoked).to.deep.equal([analyst1.address, analyst2.address]);
+
+      expect((await contract.getAnalystProfile(analyst1.address)).isVerified).to.be.false;
+      expect((await contract.getAnalystProfile(analyst2.address)).isVerified).to.be.false;
+    });
+
+    it("is restricted to analyst verifiers", async function () {
+      await expect(contract.connect(outsider).verifyAnalysts([analyst1.address]))
+        .to.be.revertedWith("Not authorized");
+      await expect(contract.connect(outsider).revokeAnalysts([analyst1.address]))
+        .to.be.revertedWith("Not authorized");
+    });
+  });
+
+  describe("analyst registry", function () {
+    it("lists each verified analyst once, including revoked ones", async function () {
+      await contract.verifyAnalysts([analyst1.address, analyst2.address]);
+      await contract.revokeAnalyst(analyst1.address);
+      await contract.verifyAnalyst(analyst1.address);
+      await contract.verifyAnalyst(analyst3.address);
+      await contract.revokeAnalyst(analyst3.address);
+
+      expect(await contract.getAnalystCount()).to.equal(3n);
+      expect(await contract.registeredAnalysts(0)).to.equal(analyst1.address);
+      expect(await contract.registeredAnalysts(1)).to.equal(analyst2.address);
+      expect(await contract.registeredAnalysts(2)).to.equal(analyst3.address);
+    });
+  });
+
+  describe("roles", function () {
+    let ADMIN_ROLE, CYCLE_OPERATOR_ROLE, ANALYST_VERIFIER_ROLE, OUTCOME_REPORTER_ROLE;
+
+    beforeEach(async function () {
+      ADMIN_ROLE = await contract.ADMIN_ROLE();
+      CYCLE_OPERATOR_ROLE = await contract.CYCLE_OPERATOR_ROLE();
+      ANALYST_VERIFIER_ROLE = await contract.ANALYST_VERIFIER_ROLE();
+      OUTCOME_REPORTER_ROLE = await contract.OUTCOME_REPORTER_ROLE();
+    });
+
+    it("gives the deployer every role", async function () {
+      for (const role of [ADMIN_ROLE, CYCLE_OPERATOR_ROLE, ANALYST_VERIFIER_ROLE, OUTCOME_REPORTER_ROLE]) {
+        expect(await contract.hasRole(role, owner.address)).to.be.true;
+      }
+    });
+
+    it("lets admins delegate operational roles", async function () {
+      await expect(contract.grantRole(ANALYST_VERIFIER_ROLE, outsider.address))
+        .to.emit(contract, "RoleGranted")
+        .withArgs(ANALYST_VERIFIER_ROLE, outsider.address, owner.address);
+
+      await contract.connect(outsider).verifyAnalyst(analyst1.address);
+      expect((await contract.getAnalystProfile(analyst1.address)).isVerified).to.be.true;
+
+      // Verifiers cannot run cycle operations
+      await expect(contract.connect(outsider).setStatisticsThreshold(TOPIC, 10))
+        .to.be.revertedWith("Not authorized");
+
+      await expect(contract.revokeRole(ANALYST_VERIFIER_ROLE, outsider.address))
+        .to.emit(contract, "RoleRevoked")
+        .withArgs(ANALYST_VERIFIER_ROLE, outsider.address, owner.address);
+      await expect(contract.connect(outsider).verifyAnalyst(analyst2.address))
+        .to.be.revertedWith("Not authorized");
+    });
+
+    it("only lets the owner manage admins", async function () {
+      await contract.grantRole(ADMIN_ROLE, outsider.address);
+
+      await expect(contract.connect(outsider).grantRole(ADMIN_ROLE, analyst1.address))
+        .to.be.revertedWith("Not authorized");
+      await contract.connect(outsider).grantRole(OUTCOME_REPORTER_ROLE, analyst1.address);
+      expect(await contract.hasRole(OUTCOME_REPORTER_ROLE, analyst1.address)).to.be.true;
+
+      await expect(contract.grantRole(ethers.id("UNKNOWN_ROLE"), analyst1.address))
+        .to.be.revertedWith("Unknown role");
+    });
+
+    it("allows roles to be renounced", async function () {
+      await contract.renounceRole(OUTCOME_REPORTER_ROLE);
+
+      expect(await contract.hasRole(OUTCOME_REPORTER_ROLE, owner.address)).to.be.false;
+      await expect(contract.resolveCycleOutcome(TOPIC, 1, 100, 10))
+        .to.be.revertedWith("Not authorized");
+    });
+
+    it("transfers ownership in two steps", async function () {
+      await expect(contract.connect(outsider).transferOwnership(outsider.address))
+        .to.be.revertedWith("Not authorized");
+
+      await expect(contract.transferOwnership(outsider.address))
+        .to.emit(contract, "OwnershipTransferStarted")
+        .withArgs(owner.address, outsider.address);
+      expect(await contract.owner()).to.equal(owner.address);
+
+      await expect(contract.connect(analyst1).acceptOwnership())
+        .to.be.revertedWith("Not pending owner");
+      await expect(contract.connect(outsider).acceptOwnership())
+        .to.emit(contract, "OwnershipTransferred")
+        .withArgs(owner.address, outsider.address);
+
+      expect(await contract.owner()).to.equal(outsider.address);
+      expect(await contract.pendingOwner()).to.equal(ethers.ZeroAddress);
+      await contract.connect(outsider).grantRole(ADMIN_ROLE, outsider.address);
+    });
+  });
+
+  describe("analyst applications", function () {
+    const metadataURI = "ipfs://bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi";
+
+    it("queues an application until the owner approves it", async function () {
+      const metadataHash = ethers.keccak256(ethers.toUtf8Bytes(metadataURI));
+
+      await expect(contract.connect(analyst1).applyAsAnalyst(metadataURI, metadataHash))
+        .to.emit(contract, "AnalystApplied")
+        .withArgs(analyst1.address, metadataURI, metadataHash);
+      expect(await contract.getPendingApplications()).to.deep.equal([analyst1.address]);
+
+      await expect(contract.connect(analyst1).applyAsAnalyst(metadataURI, metadataHash))
+        .to.be.revertedWith("Application pending");
+
+      await expect(contract.approveApplication(analyst1.address))
+        .to.emit(contract, "AnalystVerified")
+        .withArgs(analyst1.address);
+
+      expect(await contract.getPendingApplications()).to.deep.equal([]);
+      expect((await contract.getApplication(analyst1.address)).status).to.equal(2n); // Approved
+      expect((await contract.getAnalystProfile(analyst1.address)).isVerified).to.be.true;
+    });
+
+    it("lets the owner reject an application and the applicant reapply", async function () {
+      await contract.connect(analyst1).applyAsAnalyst(metadataURI, ethers.ZeroHash);
+      await contract.connect(analyst2).applyAsAnalyst(metadataURI, ethers.ZeroHash);
+
+      await expect(contract.rejectApplication(analyst1.address))
+        .to.emit(contract, "AnalystApplicationRejected")
+        .withArgs(analyst1.address);
+      expect(await contract.getPendingApplications()).to.deep.equal([analyst2.address]);
+      expect((await contract.getApplication(analyst1.address)).status).to.equal(3n); // Rejected
+
+      await contract.connect(analyst1).applyAsAnalyst(metadataURI, ethers.ZeroHash);
+      expect(await contract.getPendingApplications()).to.deep.equal([analyst2.address, analyst1.address]);
+    });
+
+    it("validates applications and restricts review to the owner", async function () {
+      await expect(contract.connect(analyst1).applyAsAnalyst("", ethers.ZeroHash))
+        .to.be.revertedWith("Metadata required");
+
+      await contract.connect(analyst1).applyAsAnalyst(metadataURI, ethers.ZeroHash);
+      await expect(contract.connect(analyst2).approveApplication(analyst1.address))
+        .to.be.revertedWith("Not authorized");
+      await expect(contract.approveApplication(analyst2.address))
+        .to.be.revertedWith("No pending application");
+
+      await contract.verifyAnalyst(analyst2.address);
+      await expect(contract.connect(analyst2).applyAsAnalyst(metadataURI, ethers.ZeroHash))
+        .to.be.revertedWith("Already verified");
+    });
+  });
+
+  describe("submitTrendPrediction", function () {
+    beforeEach(async function () {
+      await contract.verifyAnalyst(analyst1.address);
+      await contract.verifyAnalyst(analyst2.address);
+    });
+
+    it("accepts encrypted predictions during the submission window", async function () {
+      const dataHash = randomHash();
+
+      await expect(submit(analyst1, 1000, 80, dataHash))
+        .to.emit(contract, "TrendSubmitted")
+        .withArgs(analyst1.address, TOPIC, 1, dataHash);
+
+      expect(await contract.hasAnalystSubmitted(TOPIC, analyst1.address)).to.be.true;
+
+      const prediction = await contract.getAnalystPrediction(TOPIC, 1, analyst1.address);
+      expect(await decrypt32(prediction.encryptedValue, analyst1)).to.equal(1000n);
+      expect(await decrypt8(prediction.confidenceLevel, analyst1)).to.equal(80n);
+    });
+
+    it("clamps confidence to 100", async function () {
+      await submit(analyst1, 1000, 250);
+
+      const prediction = await contract.getAnalystPrediction(TOPIC, 1, analyst1.address);
+      expect(await decrypt8(prediction.confidenceLevel, analyst1)).to.equal(100n);
+    });
+
+    it("rejects submissions once the submission window has closed", async function () {
+      await increaseTime(SUBMISSION_WINDOW);
+
+      expect(await contract.isSubmissionWindowActive(TOPIC)).to.be.false;
+      await expect(submit(analyst1, 1000, 80)).to.be.revertedWith("Submission window closed");
+    });
+
+    it("rejects a second submission in the same cycle", async function () {
+      await submit(analyst1, 1000, 80);
+
+      await expect(submit(analyst1, 2000, 60)).to.be.revertedWith("Already submitted for this cycle");
+    });
+
+    it("rejects a reused data hash", async function () {
+      const dataHash = randomHash();
+      await submit(analyst1, 1000, 80, dataHash);
+
+      await expect(submit(analyst2, 1200, 70, dataHash)).to.be.revertedWith("Data hash already used");
+    });
+
+    it("rejects an empty data hash", async function () {
+      await expect(submit(analyst1, 1000, 80, ethers.ZeroHash)).to.be.revertedWith("Invalid data hash");
+    });
+  });
+
+  describe("cycle windows", function () {
+    it("opens the first cycle when a topic is created", async function () {
+      const tx = contract.createTopic("Rates", SUBMISSION_WINDOW, CYCLE_DURATION);
+      await expect(tx).to.emit(contract, "CycleInitiated").withArgs(1, 1, anyValue);
+      await expect(tx).to.emit(contract, "CycleScheduleSet").withArgs(1, 1, SUBMISSION_WINDOW, CYCLE_DURATION);
+
+      const history = await contract.getCycleHistory(1, 1);
+      expect(history.startTime).to.equal((await ethers.provider.getBlock("latest")).timestamp);
+      expect(await contract.isSubmissionWindowActive(1)).to.be.true;
+    });
+
+    it("still lets an operator restart the first cycle early", async function () {
+      await increaseTime(SUBMISSION_WINDOW);
+
+      await expect(contract.connect(outsider).initiatePredictionCycle(TOPIC, 0, 0))
+        .to.be.revertedWith("Previous cycle not completed");
+      await expect(contract.initiatePredictionCycle(TOPIC, 0, 0))
+        .to.emit(contract, "CycleInitiated").withArgs(TOPIC, 1, anyValue);
+      expect(await contract.isSubmissionWindowActive(TOPIC)).to.be.true;
+    });
+
+    it("moves from the submission window to the analysis window and then closes", async function () {
+      expect(await contract.isSubmissionWindowActive(TOPIC)).to.be.true;
+      expect(await contract.isAnalysisWindowActive(TOPIC)).to.be.false;
+
+      await increaseTime(SUBMISSION_WINDOW);
+      expect(await contract.isSubmissionWindowActive(TOPIC)).to.be.false;
+      expect(await contract.isAnalysisWindowActive(TOPIC)).to.be.true;
+
+      await increaseTime(CYCLE_DURATION - SUBMISSION_WINDOW);
+      expect(await contract.isAnalysisWindowActive(TOPIC)).to.be.false;
+    });
+
+    it("only lets anyone start the next cycle once the current one has ended", async function () {
+      await expect(contract.connect(outsider).initiatePredictionCycle(TOPIC, 0, 0))
+        .to.be.revertedWith("Previous cycle not completed");
+
+      await increaseTime(CYCLE_DURATION);
+
+      await expect(contract.connect(outsider).initiatePredictionCycle(TOPIC, 0, 0))
+        .to.emit(contract, "CycleInitiated");
+      expect(await contract.isSubmissionWindowActive(TOPIC)).to.be.true;
+    });
+
+    it("reuses the number of an ended cycle that received no predictions", async function () {
+      await increaseTime(CYCLE_DURATION);
+
+      await expect(contract.connect(outsider).initiatePredictionCycle(TOPIC, 0, 0))
+        .to.emit(contract, "CycleInitiated").withArgs(TOPIC, 1, anyValue)
+        .and.not.to.emit(contract, "CycleSkipped");
+      expect((await contract.getCurrentCycleInfo(TOPIC)).cycle).to.equal(1n);
+    });
+
+    it("skips an unanalyzed cycle with predictions instead of wiping them", async function () {
+      await contract.verifyAnalyst(analyst1.address);
+      await submit(analyst1, 1000, 80);
+      await increaseTime(CYCLE_DURATION);
+
+      await expect(contract.connect(outsider).initiatePredictionCycle(TOPIC, 0, 0))
+        .to.emit(contract, "CycleSkipped").withArgs(TOPIC, 1, 1)
+        .and.to.emit(contract, "CycleInitiated").withArgs(TOPIC, 2, anyValue);
+
+      const skipped = await contract.getCycleHistory(TOPIC, 1);
+      expect(skipped.cycleEnded).to.be.true;
+      expect(skipped.analysisCompleted).to.be.false;
+      expect(skipped.participantCount).to.equal(1n);
+      const prediction = await contract.getAnalystPrediction(TOPIC, 1, analyst1.address);
+      expect(await decrypt32(prediction.encryptedValue, analyst1)).to.equal(1000n);
+
+      // The analyst can take part in the new cycle
+      await submit(analyst1, 1200, 70);
+      expect(await contract.getAnalystCycles(TOPIC, analyst1.address)).to.deep.equal([1n, 2n]);
+    });
+  });
+
+  describe("keeper bounty", function () {
+    const BOUNTY = ethers.parseEther("0.01");
+
+    beforeEach(async function () {
+      await contract.setKeeperBounty(BOUNTY);
+      await increaseTime(CYCLE_DURATION);
+    });
+
+    it("only lets admins set the bounty", async function () {
+      await expect(contract.connect(outsider).setKeeperBounty(1))
+        .to.be.revertedWith("Not authorized");
+    });
+
+    it("takes funds into the pool from anyone", async function () {
+      await expect(contract.connect(outsider).fundKeeperBounty({ value: BOUNTY }))
+        .to.emit(contract, "KeeperBountyFunded").withArgs(outsider.address, BOUNTY);
+      expect(await ethers.provider.getBalance(contractAddress)).to.equal(BOUNTY);
+
+      await expect(contract.fundKeeperBounty()).to.be.revertedWith("No funds sent");
+    });
+
+    it("pays the keeper that starts the next cycle", async function () {
+      await contract.fundKeeperBounty({ value: BOUNTY * 2n });
+
+      const tx = contract.connect(outsider).initiatePredictionCycle(TOPIC, 0, 0);
+      await expect(tx).to.emit(contract, "KeeperRewarded").withArgs(outsider.address, BOUNTY);
+      await expect(tx).to.changeEtherBalance(contract, -BOUNTY);
+    });
+
+    it("does not pay an operator for restarting the first cycle early", async function () {
+      await contract.fundKeeperBounty({ value: BOUNTY * 3n });
+      await contract.initiatePredictionCycle(TOPIC, 0, 0);
+
+      for (let i = 0; i < 2; i++) {
+        const tx = contract.initiatePredictionCycle(TOPIC, 0, 0);
+        await expect(tx).to.emit(contract, "CycleInitiated").and.not.to.emit(contract, "KeeperRewarded");
+        await expect(tx).to.changeEtherBalance(contract, 0);
+      }
+    });
+
+    it("skips the payout when the pool cannot cover it", async function () {
+      await expect(contract.connect(outsider).initiatePredictionCycle(TOPIC, 0, 0))
+        .to.emit(contract, "CycleInitiated")
+        .and.not.to.emit(contract, "KeeperRewarded");
+    });
+
+    it("lets admins withdraw unpaid funds", async function () {
+      await contract.fundKeeperBounty({ value: BOUNTY });
+
+      const tx = contract.withdrawKeeperBounty(analyst1.address, BOUNTY);
+      await expect(tx).to.emit(contract, "KeeperBountyWithdrawn").withArgs(analyst1.address, BOUNTY);
+      await expect(tx).to.changeEtherBalances([contract, analyst1], [-BOUNTY, BOUNTY]);
+    });
+
+    it("rejects withdrawals by non-admins or beyond the pool", async function () {
+      await contract.fundKeeperBounty({ value: BOUNTY });
+
+      await expect(contract.connect(outsider).withdrawKeeperBounty(outsider.address, BOUNTY))
+        .to.be.revertedWith("Not authorized");
+      await expect(contract.withdrawKeeperBounty(owner.address, BOUNTY + 1n))
+        .to.be.revertedWith("Invalid amount");
+      await expect(contract.withdrawKeeperBounty(ethers.ZeroAddress, BOUNTY))
+        .to.be.revertedWith("Invalid account");
+    });
+  });
+
+  describe("performConfidentialAnalysis", function () {
+    // value, confidence: weighted mean = (1000*80 + 2000*60 + 4000*40) / 180 = 2000
+    const predictions = [
+      [1000, 80],
+      [2000, 60],
+      [4000, 40]
+    ];
+
+    beforeEach(async function () {
+      const analysts = [analyst1, analyst2, analyst3];
+      for (let i = 0; i < analysts.length; i++) {
+        await contract.verifyAnalyst(analysts[i].address);
+        await submit(analysts[i], predictions[i][0], predictions[i][1]);
+      }
+    });
+
+    it("cannot run before the analysis window opens", async function () {
+      await expect(contract.performConfidentialAnalysis(TOPIC))
+        .to.be.revertedWith("Analysis window not active");
+    });
+
+    it("aggregates the encrypted predictions", async function () {
+      await contract.setStatisticsThreshold(TOPIC, 1500);
+      await increaseTime(SUBMISSION_WINDOW);
+
+      await expect(contract.performConfidentialAnalysis(TOPIC))
+        .to.emit(contract, "AnalysisCompleted");
+
+      const history = await contract.getCycleHistory(TOPIC, 1);
+      expect(history.analysisCompleted).to.be.true;
+      expect(history.participantCount).to.equal(3n);
+
+      await contract.connect(analyst1).requestConfidentialResult(TOPIC, 1);
+
+      const [, , averageConfidence] = await contract.getEncryptedResult(TOPIC, 1);
+      expect(await weightedTrend(analyst1)).to.equal(2000n);
+      expect(await decrypt8(averageConfidence, analyst1)).to.equal(60n);
+
+      const stats = await contract.getEncryptedStatistics(TOPIC, 1);
+      expect(await decrypt32(stats.minTrend, analyst1)).to.equal(1000n);
+      expect(await decrypt32(stats.maxTrend, analyst1)).to.equal(4000n);
+      expect(await decrypt32(stats.aboveThresholdCount, analyst1)).to.equal(2n);
+      expect(await decrypt32(stats.belowThresholdCount, analyst1)).to.equal(1n);
+      expect(stats.threshold).to.equal(1500n);
+    });
+
+    it("weights by reputation when selected for the cycle", async function () {
+      // Equal reputations turn the weighted mean into the plain mean: 7000 / 3
+      await contract.setAggregationMode(TOPIC, 1);
+      await increaseTime(SUBMISSION_WINDOW);
+
+      await contract.performConfidentialAnalysis(TOPIC);
+
+      await contract.connect(analyst1).requestConfidentialResult(TOPIC, 1);
+      expect(await weightedTrend(analyst1)).to.equal(2333n);
+    });
+
+    it("only runs once per cycle and advances the cycle counter", async function () {
+      await increaseTime(SUBMISSION_WINDOW);
+      await contract.performConfidentialAnalysis(TOPIC);
+
+      const info = await contract.getCurrentCycleInfo(TOPIC);
+      expect(info.cycle).to.equal(2n);
+      await expect(contract.performConfidentialAnalysis(TOPIC))
+        .to.be.revertedWith("No predictions to analyze");
+    });
+  });
+
+  describe("encrypted results", function () {
+    beforeEach(async function () {
+      await contract.verifyAnalyst(analyst1.address);
+      await contract.verifyAnalyst(analyst2.address);
+    });
+
+    it("keeps the weighted trend as an encrypted sum and weight total", async function () {
+      await submit(analyst1, 500, 90);
+      await submit(analyst2, 1500, 30);
+      await increaseTime(SUBMISSION_WINDOW);
+      await contract.performConfidentialAnalysis(TOPIC);
+      await contract.connect(analyst2).requestConfidentialResult(TOPIC, 1);
+
+      // (500*90 + 1500*30) / 120 = 750, (90 + 30) / 2 = 60
+      const [weightedTrendSum, totalWeight, averageConfidence] = await contract.getEncryptedResult(TOPIC, 1);
+      expect(await decrypt64(weightedTrendSum, analyst2)).to.equal(90000n);
+      expect(await decrypt32(totalWeight, analyst2)).to.equal(120n);
+      expect(await decrypt8(averageConfidence, analyst2)).to.equal(60n);
+      expect(await weightedTrend(analyst2)).to.equal(750n);
+    });
+
+    it("falls back to the plain mean when every weight is 0", async function () {
+      await submit(analyst1, 500, 0);
+      await submit(analyst2, 1500, 0);
+      await increaseTime(SUBMISSION_WINDOW);
+      await contract.performConfidentialAnalysis(TOPIC);
+      await contract.connect(analyst1).requestConfidentialResult(TOPIC, 1);
+
+      const [, totalWeight] = await contract.getEncryptedResult(TOPIC, 1);
+      expect(await decrypt32(totalWeight, analyst1)).to.equal(2n);
+      expect(await weightedTrend(analyst1)).to.equal(1000n);
+    });
+
+    it("only discloses the results to accounts granted access", async function () {
+      await submit(analyst1, 500, 90);
+      await increaseTime(SUBMISSION_WINDOW);
+      await contract.performConfidentialAnalysis(TOPIC);
+
+      const [weightedTrendSum, totalWeight] = await contract.getEncryptedResult(TOPIC, 1);
+      await expect(decrypt64(weightedTrendSum, analyst2)).to.be.rejected;
+      await expect(decrypt32(totalWeight, analyst2)).to.be.rejected;
+
+      await contract.connect(analyst2).requestConfidentialResult(TOPIC, 1);
+      expect(await weightedTrend(analyst2)).to.equal(500n);
+    });
+
+    it("normalizes reputation weights so their total is public", async function () {
+      // Re-centred on 100 around the mean reputation of 50: weights 130 and 70
+      await contract.updateAnalystReputation(analyst1.address, 80);
+      await contract.updateAnalystReputation(analyst2.address, 20);
+      await contract.setAggregationMode(TOPIC, 1);
+      await submit(analyst1, 1000, 50);
+      await submit(analyst2, 2000, 50);
+      await increaseTime(SUBMISSION_WINDOW);
+      await contract.performConfidentialAnalysis(TOPIC);
+      await contract.connect(analyst2).requestConfidentialResult(TOPIC, 1);
+
+      // (1000*130 + 2000*70) / 200 = 1350, kept over the public 100 * 2^2
+      const [, totalWeight] = await contract.getEncryptedResult(TOPIC, 1);
+      expect(await decrypt32(totalWeight, analyst2)).to.equal(400n);
+      expect(await weightedTrend(analyst2)).to.equal(1350n);
+    });
+
+    it("never hands a non-participant anything derived from a reputation", async function () {
+      await contract.verifyAnalyst(analyst3.address);
+      await contract.updateAnalystReputation(analyst1.address, 70);
+      await contract.setAggregationMode(TOPIC, 1);
+      await submit(analyst1, 500, 90);
+      await increaseTime(SUBMISSION_WINDOW);
+      await contract.performConfidentialAnalysis(TOPIC);
+      await contract.connect(analyst3).requestConfidentialResult(TOPIC, 1);
+
+      // A single participant: the divisor is 100, not their reputation of 70
+      const [weightedTrendSum, totalWeight, averageConfidence] = await contract.getEncryptedResult(TOPIC, 1);
+      expect(await decrypt64(weightedTrendSum, analyst3)).to.equal(50000n);
+      expect(await decrypt32(totalWeight, analyst3)).to.equal(100n);
+      expect(await decrypt8(averageConfidence, analyst3)).to.equal(90n);
+
+      const reputation = await contract.getEncryptedReputation(analyst1.address);
+      await expect(decrypt8(reputation, analyst3)).to.be.rejected;
+    });
+  });
+
+  describe("requestConfidentialResult", function () {
+    beforeEach(async function () {
+      await contract.verifyAnalyst(analyst1.address);
+      await submit(analyst1, 1000, 80);
+    });
+
+    it("requires the analysis to be completed", async function () {
+      await expect(contract.connect(analyst1).requestConfidentialResult(TOPIC, 1))
+        .to.be.revertedWith("Analysis not completed");
+    });
+
+    it("is restricted to verified analysts", async function () {
+      await increaseTime(SUBMISSION_WINDOW);
+      await contract.performConfidentialAnalysis(TOPIC);
+
+      await expect(contract.connect(outsider).requestConfidentialResult(TOPIC, 1))
+        .to.be.revertedWith("Not authorized");
+
+      await expect(contract.connect(analyst1).requestConfidentialResult(TOPIC, 1))
+        .to.emit(contract, "ConfidentialResultRequested")
+        .withArgs(TOPIC, 1, analyst1.address);
+    });
+  });
+
+  describe("outcome scoring", function () {
+    const SCORING_BATCH_SIZE = 8;
+
+    async function analyze() {
+      await increaseTime(SUBMISSION_WINDOW);
+      await contract.performConfidentialAnalysis(TOPIC);
+    }
+
+    async function scoredEvents() {
+      const events = await contract.queryFilter(contract.filters.AccuracyScored());
+      return events.map((event) => [event.args.analyst, event.args.accurate]);
+    }
+
+    beforeEach(async function () {
+      await contract.verifyAnalyst(analyst1.address);
+      await contract.verifyAnalyst(analyst2.address);
+    });
+
+    it("only resolves analyzed cycles once, by outcome reporters", async function () {
+      await submit(analyst1, 1000, 80);
+      await expect(contract.resolveCycleOutcome(TOPIC, 1, 1000, 10))
+        .to.be.revertedWith("Analysis not completed");
+
+      await analyze();
+      await expect(contract.connect(outsider).resolveCycleOutcome(TOPIC, 1, 1000, 10))
+        .to.be.revertedWith("Not authorized");
+
+      await expect(contract.resolveCycleOutcome(TOPIC, 1, 1000, 10))
+        .to.emit(contract, "OutcomeResolved").withArgs(TOPIC, 1, 1000, 10);
+      await expect(contract.resolveCycleOutcome(TOPIC, 1, 1000, 10))
+        .to.be.revertedWith("Outcome already resolved");
+    });
+
+    it("counts a prediction inside the tolerance band as accurate", async function () {
+      await submit(analyst1, 1040, 80);
+      await analyze();
+
+      await contract.resolveCycleOutcome(TOPIC, 1, 1000, 50);
+      expect((await contract.getAnalystProfile(analyst1.address)).accurateCount).to.equal(0n);
+
+      await fhevm.awaitDecryptionOracle();
+
+      expect((await contract.getAnalystProfile(analyst1.address)).accurateCount).to.equal(1n);
+      expect(await scoredEvents()).to.deep.equal([[analyst1.address, true]]);
+      expect(await decrypt8(await contract.getEncryptedReputation(analyst1.address), analyst1)).to.equal(55n);
+    });
+
+    it("counts a prediction outside the tolerance band as inaccurate", async function () {
+      await submit(analyst1, 1051, 80);
+      await analyze();
+
+      await contract.resolveCycleOutcome(TOPIC, 1, 1000, 50);
+      await fhevm.awaitDecryptionOracle();
+
+      expect((await contract.getAnalystProfile(analyst1.address)).accurateCount).to.equal(0n);
+      expect(await scoredEvents()).to.deep.equal([[analyst1.address, false]]);
+      expect(await decrypt8(await contract.getEncryptedReputation(analyst1.address), analyst1)).to.equal(45n);
+    });
+
+    it("decrypts every verdict of a batch in one request", async function () {
+      await submit(analyst1, 990, 80);
+      await submit(analyst2, 2000, 60);
+      await analyze();
+
+      await contract.resolveCycleOutcome(TOPIC, 1, 1000, 50);
+      expect(await contract.getScoringProgress(TOPIC, 1)).to.deep.equal([2n, 2n]);
+      await fhevm.awaitDecryptionOracle();
+
+      expect(await scoredEvents()).to.deep.equal([
+        [analyst1.address, true],
+        [analyst2.address, false],
+      ]);
+
+      // Request ids start at 0 and the single batch used the first one
+      await expect(contract.processAccuracyResults(1, 0, []))
+        .to.be.revertedWith("Unknown request");
+    });
+
+    it("rejects callbacks for unknown or already processed requests", async function () {
+      await submit(analyst1, 1000, 80);
+      await analyze();
+      await contract.resolveCycleOutcome(TOPIC, 1, 1000, 50);
+      await fhevm.awaitDecryptionOracle();
+
+      // Replaying the processed verdicts must not count the prediction twice
+      await expect(contract.processAccuracyResults(0, 1, []))
+        .to.be.revertedWith("Unknown request");
+      expect((await contract.getAnalystProfile(analyst1.address)).accurateCount).to.equal(1n);
+    });
+
+    it("scores large cycles in batches that anyone can continue", async function () {
+      const analysts = (await ethers.getSigners()).slice(5, 5 + SCORING_BATCH_SIZE + 1);
+      await contract.verifyAnalysts(analysts.map((analyst) => analyst.address));
+      for (const analyst of analysts) {
+        await submit(analyst, 1000, 50);
+      }
+      await analyze();
+
+      await expect(contract.scoreOutcomeBatch(TOPIC, 1)).to.be.revertedWith("Outcome not resolved");
+
+      await contract.resolveCycleOutcome(TOPIC, 1, 1000, 0);
+      expect(await contract.getScoringProgress(TOPIC, 1)).to.deep.equal([8n, 9n]);
+
+      await contract.connect(outsider).scoreOutcomeBatch(TOPIC, 1);
+      expect(await contract.getScoringProgress(TOPIC, 1)).to.deep.equal([9n, 9n]);
+      await expect(contract.scoreOutcomeBatch(TOPIC, 1)).to.be.revertedWith("All predictions scored");
+
+      await fhevm.awaitDecryptionOracle();
+
+      const events = await scoredEvents();
+      expect(events).to.have.length(SCORING_BATCH_SIZE + 1);
+      expect(events.every(([, accurate]) => accurate)).to.be.true;
+      expect((await contract.getAnalystProfile(analysts[SCORING_BATCH_SIZE].address)).accurateCount)
+        .to.equal(1n);
+    });
+  });
+});
@@ -0,0 +1,262 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+
+const SUBMISSION_WINDOW = 3600; // 1 hour
+const CYCLE_DURATION = 7200; // 2 hours
+const TOPIC = 0;
+
+describe("PrivacyTrendPredictorCommitReveal", function () {
+  let contract, owner, analyst1, analyst2, analyst3, outsider;
+  const salts = new Map();
+
+  async function increaseTime(seconds) {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine", []);
+  }
+
+  function randomHash() {
+    return ethers.hexlify(ethers.randomBytes(32));
+  }
+
+  function commitmentOf(analyst, value, confidence, salt, cycle = 1) {
+    return ethers.solidityPackedKeccak256(
+      ["address", "uint32", "uint32", "uint32", "uint8", "bytes32"],
+      [analyst.address, TOPIC, cycle, value, confidence, salt]
+    );
+  }
+
+  async function commit(analyst, value, confidence, dataHash = randomHash()) {
+    const salt = randomHash();
+    salts.set(analyst.address, salt);
+    return contract.connect(analyst).submitTrendCommitment(TOPIC, commitmentOf(analyst, value, confidence, salt), dataHash);
+  }
+
+  async function reveal(analyst, value, confidence) {
+    return contract.connect(analyst).revealTrendPrediction(TOPIC, value, confidence, salts.get(analyst.address));
+  }
+
+  beforeEach(async function () {
+    [owner, analyst1, analyst2, analyst3, outsider] = await ethers.getSigners();
+    salts.clear();
+
+    const PrivacyTrendPredictorCommitReveal = await ethers.getContractFactory("PrivacyTrendPredictorCommitReveal");
+    contract = await PrivacyTrendPredictorCommitReveal.deploy(SUBMISSION_WINDOW, CYCLE_DURATION);
+    await contract.waitForDeployment();
+
+    await contract.verifyAnalyst(analyst1.address);
+    await contract.verifyAnalyst(analyst2.address);
+    await contract.verifyAnalyst(analyst3.address);
+  });
+
+  it("reports the commit-reveal submission mode", async function () {
+    expect(await contract.submissionMode()).to.equal(1n);
+  });
+
+  it("computes commitments the same way as clients", async function () {
+    const salt = randomHash();
+    expect(await contract.computeCommitment(analyst1.address, TOPIC, 1, 1500, 80, salt))
+      .to.equal(commitmentOf(analyst1, 1500, 80, salt));
+  });
+
+  describe("submitTrendCommitment", function () {
+    it("records a commitment during the submission window", async function () {
+      const dataHash = randomHash();
+      await expect(commit(analyst1, 1500, 80, dataHash))
+        .to.emit(contract, "TrendSubmitted")
+        .withArgs(analyst1.address, TOPIC, 1, dataHash);
+
+      const prediction = await contract.getAnalystPrediction(TOPIC, 1, analyst1.address);
+      expect(prediction.commitment).to.equal(commitmentOf(analyst1, 1500, 80, salts.get(analyst1.address)));
+      expect(prediction.revealed).to.be.false;
+      expect(await contract.hasAnalystSubmitted(TOPIC, analyst1.address)).to.be.true;
+    });
+
+    it("rejects unverified analysts and late commitments", async function () {
+      await expect(commit(outsider, 1500, 80)).to.be.revertedWith("Analyst not verified");
+
+      await increaseTime(SUBMISSION_WINDOW);
+      await expect(commit(analyst1, 1500, 80)).to.be.revertedWith("Submission window closed");
+    });
+
+    it("never lets a copied commitment be opened by the copier", async function () {
+      await commit(analyst1, 1500, 80);
+      const { commitment } = await contract.getAnalystPrediction(TOPIC, 1, analyst1.address);
+      await contract.connect(analyst2).submitTrendCommitment(TOPIC, commitment, randomHash());
+
+      await increaseTime(SUBMISSION_WINDOW);
+      await reveal(analyst1, 1500, 80);
+
+      // The opening analyst1 just made public does not match for anyone else
+      await expect(contract.connect(analyst2).revealTrendPrediction(TOPIC, 1500, 80, salts.get(analyst1.address)))
+        .to.be.revertedWith("Commitment mismatch");
+    });
+
+    it("binds a commitment to its topic and cycle", async function () {
+      const salt = randomHash();
+      salts.set(analyst1.address, salt);
+      await contract.connect(analyst1).submitTrendCommitment(TOPIC, commitmentOf(analyst1, 1500, 80, salt, 2), randomHash());
+
+      await increaseTime(SUBMISSION_WINDOW);
+      await expect(reveal(analyst1, 1500, 80)).to.be.revertedWith("Commitment mismatch");
+    });
+
+    it("rejects a second commitment in the same cycle", async function () {
+      await commit(analyst1, 1500, 80);
+      await expect(commit(analyst1, 1600, 80)).to.be.revertedWith("Already submitted for this cycle");
+    });
+  });
+
+  describe("revealTrendPrediction", function () {
+    beforeEach(async function () {
+      await commit(analyst1, 1500, 80);
+    });
+
+    it("only opens during the analysis window", async function () {
+      await expect(reveal(analyst1, 1500, 80)).to.be.revertedWith("Analysis window not active");
+
+      await increaseTime(SUBMISSION_WINDOW);
+      await expect(reveal(analyst1, 1500, 80))
+        .to.emit(contract, "TrendRevealed")
+        .withArgs(analyst1.address, TOPIC, 1, 1500, 80);
+
+      const status = await contract.getRevealStatus(TOPIC, 1);
+      expect(status.committed).to.equal(1n);
+      expect(status.revealed).to.equal(1n);
+    });
+
+    it("rejects values that do not match the commitment", async function () {
+      await increaseTime(SUBMISSION_WINDOW);
+
+      await expect(reveal(analyst1, 1501, 80)).to.be.revertedWith("Commitment mismatch");
+      await expect(contract.connect(analyst2).revealTrendPrediction(TOPIC, 1500, 80, randomHash()))
+        .to.be.revertedWith("No prediction for this cycle");
+    });
+
+    it("can only be revealed once", async function () {
+      await increaseTime(SUBMISSION_WINDOW);
+      await reveal(analyst1, 1500, 80);
+
+      await expect(reveal(analyst1, 1500, 80)).to.be.revertedWith("Already revealed");
+    });
+  });
+
+  describe("initiatePredictionCycle", function () {
+    it("skips an unanalyzed cycle with commitments instead of wiping them", async function () {
+      await commit(analyst1, 1500, 80);
+      const { commitment } = await contract.getAnalystPrediction(TOPIC, 1, analyst1.address);
+      await increaseTime(CYCLE_DURATION);
+
+      await expect(contract.initiatePredictionCycle(TOPIC, 0, 0))
+        .to.emit(contract, "CycleSkipped").withArgs(TOPIC, 1, 1)
+        .and.to.emit(contract, "CycleInitiated").withArgs(TOPIC, 2, anyValue);
+
+      expect((await contract.getAnalystPrediction(TOPIC, 1, analyst1.address)).commitment).to.equal(commitment);
+      expect((await contract.getRevealStatus(TOPIC, 1))).to.deep.equal([1n, 0n]);
+      expect((await contract.getCycleHistory(TOPIC, 1)).cycleEnded).to.be.true;
+    });
+
+    it("never skips a cycle whose reveals have not been analyzed", async function () {
+      await commit(analyst1, 1500, 80);
+      await commit(analyst2, 2500, 80);
+      await increaseTime(SUBMISSION_WINDOW);
+      await reveal(analyst1, 1500, 80);
+      await increaseTime(CYCLE_DURATION - SUBMISSION_WINDOW);
+
+      // From the same block the analysis becomes possible, nobody may skip the cycle instead
+      await expect(contract.connect(outsider).initiatePredictionCycle(TOPIC, 0, 0))
+        .to.be.revertedWith("Revealed predictions not analyzed");
+
+      await expect(contract.connect(outsider).performConfidentialAnalysis(TOPIC))
+        .to.emit(contract, "AnalysisCompleted");
+      expect((await contract.getCycleResult(TOPIC, 1)).aggregatedTrend).to.equal(1500n);
+
+      await expect(contract.connect(outsider).initiatePredictionCycle(TOPIC, 0, 0))
+        .to.emit(contract, "CycleInitiated").withArgs(TOPIC, 2, anyValue)
+        .and.not.to.emit(contract, "CycleSkipped");
+    });
+  });
+
+  describe("performConfidentialAnalysis", function () {
+    beforeEach(async function () {
+      await commit(analyst1, 1000, 100);
+      await commit(analyst2, 2000, 50);
+      await commit(analyst3, 4000, 0);
+      await increaseTime(SUBMISSION_WINDOW);
+    });
+
+    it("waits for every reveal while the analysis window is open", async function () {
+      await reveal(analyst1, 1000, 100);
+      await reveal(analyst2, 2000, 50);
+      await expect(contract.performConfidentialAnalysis(TOPIC)).to.be.revertedWith("Reveal window still open");
+
+      await reveal(analyst3, 4000, 0);
+      await expect(contract.performConfidentialAnalysis(TOPIC))
+        .to.emit(contract, "AnalysisCompleted");
+
+      // (1000*100 + 2000*50 + 4000*0) / 150 = 1333
+      const result = await contract.getCycleResult(TOPIC, 1);
+      expect(result.aggregatedTrend).to.equal(1333n);
+      expect(result.averageConfidence).to.equal(50n);
+      expect(result.minTrend).to.equal(1000n);
+      expect(result.maxTrend).to.equal(4000n);
+      expect((await contract.getTopic(TOPIC)).currentPredictionCycle).to.equal(2n);
+    });
+
+    it("aggregates only the revealed predictions once the window has closed", async function () {
+      await reveal(analyst1, 1000, 100);
+      await reveal(analyst2, 2000, 50);
+      await increaseTime(CYCLE_DURATION - SUBMISSION_WINDOW);
+
+      await contract.connect(outsider).performConfidentialAnalysis(TOPIC);
+
+      // (1000*100 + 2000*50) / 150 = 1333, averaged over the two reveals
+      const result = await contract.getCycleResult(TOPIC, 1);
+      expect(result.aggregatedTrend).to.equal(1333n);
+      expect(result.averageConfidence).to.equal(75n);
+      expect(result.maxTrend).to.equal(2000n);
+    });
+
+    it("requires at least one reveal", async function () {
+      await increaseTime(CYCLE_DURATION - SUBMISSION_WINDOW);
+      await expect(contract.performConfidentialAnalysis(TOPIC)).to.be.revertedWith("No revealed predictions");
+    });
+  });
+
+  describe("resolveCycleOutcome", function () {
+    beforeEach(async function () {
+      await commit(analyst1, 1000, 80);
+      await commit(analyst2, 3000, 80);
+      await commit(analyst3, 1050, 80);
+      await increaseTime(SUBMISSION_WINDOW);
+      await reveal(analyst1, 1000, 80);
+      await reveal(analyst2, 3000, 80);
+      await increaseTime(CYCLE_DURATION - SUBMISSION_WINDOW);
+      await contract.performConfidentialAnalysis(TOPIC);
+    });
+
+    it("scores revealed predictions and moves reputation", async function () {
+      await expect(contract.resolveCycleOutcome(TOPIC, 1, 1020, 50))
+        .to.emit(contract, "AccuracyScored").withArgs(TOPIC, 1, analyst1.address, true)
+        .and.to.emit(contract, "AccuracyScored").withArgs(TOPIC, 1, analyst2.address, false);
+
+      expect((await contract.getAnalystProfile(analyst1.address)).accurateCount).to.equal(1n);
+      expect(await contract.getReputation(analyst1.address)).to.equal(55n);
+      expect(await contract.getReputation(analyst2.address)).to.equal(45n);
+    });
+
+    it("counts an unrevealed commitment as inaccurate", async function () {
+      // analyst3 committed a value inside the band but never revealed it
+      await expect(contract.resolveCycleOutcome(TOPIC, 1, 1020, 50))
+        .to.emit(contract, "AccuracyScored").withArgs(TOPIC, 1, analyst3.address, false);
+
+      expect((await contract.getAnalystProfile(analyst3.address)).accurateCount).to.equal(0n);
+      expect(await contract.getReputation(analyst3.address)).to.equal(45n);
+    });
+
+    it("is restricted to outcome reporters", async function () {
+      await expect(contract.connect(outsider).resolveCycleOutcome(TOPIC, 1, 1020, 50))
+        .to.be.revertedWith("Not authorized");
+    });
+  });
+});
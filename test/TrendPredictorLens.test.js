@@ -0,0 +1,122 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const SUBMISSION_WINDOW = 3600; // 1 hour
+const CYCLE_DURATION = 7200; // 2 hours
+const TOPIC = 0;
+
+// The lens only uses getters shared by both variants, so it is exercised against the
+// commit-reveal contract, which runs without the FHE mock
+describe("TrendPredictorLens", function () {
+  let lens, contract, contractAddress, analyst1, analyst2, analyst3;
+
+  async function increaseTime(seconds) {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine", []);
+  }
+
+  function randomHash() {
+    return ethers.hexlify(ethers.randomBytes(32));
+  }
+
+  async function commit(analyst) {
+    return contract.connect(analyst).submitTrendCommitment(TOPIC, randomHash(), randomHash());
+  }
+
+  // Close the current cycle; with commitments and no analysis the next number is opened
+  async function nextCycle() {
+    await increaseTime(CYCLE_DURATION);
+    await contract.initiatePredictionCycle(TOPIC, 0, 0);
+  }
+
+  beforeEach(async function () {
+    [, analyst1, analyst2, analyst3] = await ethers.getSigners();
+
+    const PrivacyTrendPredictorCommitReveal = await ethers.getContractFactory("PrivacyTrendPredictorCommitReveal");
+    contract = await PrivacyTrendPredictorCommitReveal.deploy(SUBMISSION_WINDOW, CYCLE_DURATION);
+    await contract.waitForDeployment();
+    contractAddress = await contract.getAddress();
+
+    const TrendPredictorLens = await ethers.getContractFactory("TrendPredictorLens");
+    lens = await TrendPredictorLens.deploy();
+    await lens.waitForDeployment();
+  });
+
+  describe("analyst registry", function () {
+    it("pages through the registry", async function () {
+      await contract.verifyAnalysts([analyst1.address, analyst2.address, analyst3.address]);
+
+      expect(await lens.getAnalystCount(contractAddress)).to.equal(3n);
+      expect(await lens.getAnalysts(contractAddress, 0, 2)).to.deep.equal([analyst1.address, analyst2.address]);
+      expect(await lens.getAnalysts(contractAddress, 2, 2)).to.deep.equal([analyst3.address]);
+      expect(await lens.getAnalysts(contractAddress, 3, 2)).to.deep.equal([]);
+      expect(await lens.getAnalysts(contractAddress, 1, 0)).to.deep.equal([]);
+    });
+  });
+
+  describe("getAnalystRows", function () {
+    beforeEach(async function () {
+      await contract.verifyAnalysts([analyst1.address, analyst2.address, analyst3.address]);
+    });
+
+    it("returns each analyst's profile in one call per page", async function () {
+      await commit(analyst1);
+      await contract.revokeAnalyst(analyst2.address);
+
+      const rows = await lens.getAnalystRows(contractAddress, TOPIC, 0, 2);
+      expect(rows).to.have.length(2);
+
+      const [first, second] = rows;
+      const submittedAt = (await contract.getAnalystProfile(analyst1.address)).lastSubmission;
+      expect(first.analyst).to.equal(analyst1.address);
+      expect(first.isVerified).to.be.true;
+      expect(first.totalPredictions).to.equal(1n);
+      expect(first.accurateCount).to.equal(0n);
+      expect(first.lastSubmission).to.equal(submittedAt);
+      expect(second.analyst).to.equal(analyst2.address);
+      expect(second.isVerified).to.be.false;
+      expect(second.totalPredictions).to.equal(0n);
+
+      const last = await lens.getAnalystRows(contractAddress, TOPIC, 2, 2);
+      expect(last.map((row) => row.analyst)).to.deep.equal([analyst3.address]);
+    });
+
+    it("counts consecutive cycles back from the current one as the streak", async function () {
+      await commit(analyst1);
+      await commit(analyst2);
+      await nextCycle(); // cycle 2
+      await commit(analyst1);
+      await commit(analyst3);
+      await nextCycle(); // cycle 3, still open
+      await commit(analyst1);
+
+      const streaks = (await lens.getAnalystRows(contractAddress, TOPIC, 0, 10)).map((row) => row.streak);
+
+      // analyst3 has not submitted to the open cycle yet, which doesn't break the streak;
+      // analyst2 missed cycle 2
+      expect(streaks).to.deep.equal([3n, 0n, 1n]);
+    });
+
+    it("rejects unknown topics", async function () {
+      await expect(lens.getAnalystRows(contractAddress, 5, 0, 10)).to.be.revertedWith("Topic does not exist");
+    });
+  });
+
+  describe("getTimeRemaining", function () {
+    it("counts down the submission window, then the analysis window", async function () {
+      let [submissionTime, analysisTime] = await lens.getTimeRemaining(contractAddress, TOPIC);
+      expect(submissionTime).to.be.closeTo(SUBMISSION_WINDOW, 5);
+      expect(analysisTime).to.equal(0n);
+
+      await increaseTime(SUBMISSION_WINDOW);
+      [submissionTime, analysisTime] = await lens.getTimeRemaining(contractAddress, TOPIC);
+      expect(submissionTime).to.equal(0n);
+      expect(analysisTime).to.be.closeTo(CYCLE_DURATION - SUBMISSION_WINDOW, 5);
+
+      await increaseTime(CYCLE_DURATION - SUBMISSION_WINDOW);
+      [submissionTime, analysisTime] = await lens.getTimeRemaining(contractAddress, TOPIC);
+      expect(submissionTime).to.equal(0n);
+      expect(analysisTime).to.equal(0n);
+    });
+  });
+});